@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Serves recorded Sleeper API payloads so the checker runs offline and off-season.
+ *
+ *   npm run mock-api [-- --port 4010 --dir fixtures/sleeper]
+ *
+ * GET /v1/league/123/users is answered with {dir}/league/123/users.json, and so
+ * on for every path the app requests. Missing fixtures get a 404 with a `null`
+ * body, like Sleeper's answer for unknown ids, except matchup weeks, which Sleeper
+ * answers with an empty list. Record fixtures with scripts/record-fixtures.js.
+ */
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const PORT = Number(arg("port", process.env.PORT || 4010));
+const DIR = path.resolve(arg("dir", path.join(__dirname, "..", "fixtures", "sleeper")));
+const PREFIX = "/v1";
+// Sleeper returns [] for weeks without matchups instead of a 404
+const MATCHUPS_PATH = /^\/v1\/league\/[^/]+\/matchups\/\d+\/?$/;
+
+function fixturePath(urlPath) {
+  const relative = decodeURIComponent(urlPath.slice(PREFIX.length)).replace(/^\/+|\/+$/g, "");
+  const file = path.resolve(DIR, `${relative}.json`);
+  // Keep lookups inside the fixtures directory
+  return relative && file.startsWith(DIR + path.sep) ? file : null;
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Cache-Control": "no-store",
+  });
+  res.end(body);
+}
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, "http://localhost");
+  if (req.method === "OPTIONS") return send(res, 204, "");
+  if (req.method !== "GET" || !pathname.startsWith(`${PREFIX}/`)) return send(res, 404, "null");
+
+  const file = fixturePath(pathname);
+  if (!file) return send(res, 404, "null");
+  fs.readFile(file, (err, data) => {
+    const body = err ? (MATCHUPS_PATH.test(pathname) ? "[]" : "null") : data;
+    const status = body === "null" ? 404 : 200;
+    console.log(`${status} ${pathname}`);
+    send(res, status, body);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Sleeper API serving ${DIR}`);
+  console.log(`  http://localhost:${PORT}${PREFIX}`);
+  console.log(`Start the app against it with: REACT_APP_SLEEPER_API=http://localhost:${PORT}${PREFIX} npm start`);
+});
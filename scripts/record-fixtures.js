@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * Records Sleeper API payloads for one league into a fixtures directory served
+ * by scripts/mock-sleeper-server.js.
+ *
+ *   npm run record-fixtures -- <leagueId> [--weeks 1-5] [--user <username>]
+ *                                         [--dir fixtures/sleeper] [--api <base url>]
+ *
+ * Records /state/nfl, the league with its users, rosters and the matchups of
+ * each week (default: 1 through the current week). /players/nfl is trimmed to
+ * the players on the league's rosters to keep fixtures small. With --user, the
+ * user lookup and their leagues for the season are recorded as well.
+ */
+const fs = require("fs");
+const path = require("path");
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const leagueId = process.argv[2];
+const API = arg("api", "https://api.sleeper.app/v1");
+const DIR = path.resolve(arg("dir", path.join(__dirname, "..", "fixtures", "sleeper")));
+
+async function get(apiPath) {
+  const res = await fetch(`${API}${apiPath}`);
+  if (!res.ok) throw new Error(`${res.status} ${res.statusText} for ${apiPath}`);
+  return res.json();
+}
+
+function save(apiPath, payload) {
+  const file = path.join(DIR, `${apiPath.replace(/^\//, "")}.json`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(payload, null, 2) + "\n");
+  console.log(`  ${path.relative(process.cwd(), file)}`);
+}
+
+async function record(apiPath) {
+  const payload = await get(apiPath);
+  save(apiPath, payload);
+  return payload;
+}
+
+function weekRange(spec, currentWeek) {
+  const [from, to] = String(spec || `1-${currentWeek}`).split("-").map(Number);
+  const last = to || from;
+  return Array.from({ length: Math.max(0, last - from + 1) }, (_, i) => from + i);
+}
+
+async function main() {
+  if (!leagueId || leagueId.startsWith("--")) {
+    console.error("Usage: npm run record-fixtures -- <leagueId> [--weeks 1-5] [--user <username>] [--dir <dir>]");
+    process.exit(1);
+  }
+  console.log(`Recording league ${leagueId} from ${API} into ${DIR}`);
+
+  const state = await record("/state/nfl");
+  const currentWeek = Number(state?.display_week || state?.week || state?.leg) || 1;
+  const league = await record(`/league/${leagueId}`);
+  if (!league) throw new Error(`League ${leagueId} not found`);
+  await record(`/league/${leagueId}/users`);
+  const rosters = (await record(`/league/${leagueId}/rosters`)) || [];
+
+  const rostered = new Set();
+  for (const r of rosters) {
+    for (const pid of [...(r.players || []), ...(r.reserve || []), ...(r.taxi || [])]) rostered.add(pid);
+  }
+  for (const week of weekRange(arg("weeks"), currentWeek)) {
+    const matchups = (await record(`/league/${leagueId}/matchups/${week}`)) || [];
+    for (const m of matchups) for (const pid of m.players || []) rostered.add(pid);
+  }
+
+  const players = await get("/players/nfl");
+  save("/players/nfl", Object.fromEntries([...rostered].filter((pid) => players[pid]).map((pid) => [pid, players[pid]])));
+
+  const username = arg("user");
+  if (username) {
+    const user = await record(`/user/${encodeURIComponent(username)}`);
+    if (user?.user_id) await record(`/user/${user.user_id}/leagues/nfl/${league.season || state.season}`);
+  }
+  console.log("Done.");
+}
+
+main().catch((e) => {
+  console.error(e.message || e);
+  process.exit(1);
+});
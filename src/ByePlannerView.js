@@ -0,0 +1,95 @@
+import React, { useMemo } from "react";
+import { buildByePlanner } from "./byePlanner";
+import { byeTeamsForWeek } from "./byeWeeks";
+import { slotLabel } from "./rosterSlots";
+import { playerName } from "./evaluateLineup";
+
+function PlannerCell({ cell, slots, players }) {
+  const onBye = cell.onBye.map((pid) => (players?.[pid] ? playerName(players[pid]) : `${pid} D/ST`));
+  return (
+    <td
+      className={`py-2 px-2 align-top ${cell.legal ? "" : "bg-rose-50 border border-rose-200"}`}
+      title={onBye.length ? `On bye: ${onBye.join(", ")}` : "No players on bye"}
+    >
+      <ul className="text-xs leading-5 whitespace-nowrap">
+        {slots.map(({ slot, required }) => (
+          <li key={slot} className={cell.short.includes(slot) ? "font-semibold text-rose-600" : "text-gray-600"}>
+            {slotLabel(slot)} {cell.counts[slot]}/{required}
+          </li>
+        ))}
+      </ul>
+    </td>
+  );
+}
+
+/**
+ * Remaining weeks of the season for every roster in the league, from the bye
+ * table and each roster's own players (see byePlanner.js). Cells in red can't
+ * field a legal lineup without a trade or pickup.
+ */
+function ByePlannerView({ rosters, users, league, players, byeTable, fromWeek, lastWeek, season }) {
+  const planner = useMemo(
+    () => buildByePlanner({ rosters, users, league, players, byeTable, fromWeek, lastWeek }),
+    [rosters, users, league, players, byeTable, fromWeek, lastWeek]
+  );
+
+  if (!byeTable) return <p className="text-sm text-gray-600">No bye-week table for the {season} season.</p>;
+  if (!planner.weeks.length) return <p className="text-sm text-gray-600">No weeks left this season.</p>;
+
+  const flagged = planner.rows.filter((r) => r.cells.some((c) => !c.legal)).length;
+
+  return (
+    <div className="rounded-2xl p-6 bg-white border border-gray-200 shadow-sm space-y-4">
+      <h3 className="font-semibold text-gray-900">
+        Bye-week planner{" "}
+        <span className="text-gray-500 font-normal">
+          (weeks {planner.weeks[0]}–{planner.weeks[planner.weeks.length - 1]} · {flagged} of {planner.rows.length}{" "}
+          teams short at least once)
+        </span>
+      </h3>
+      <div className="overflow-x-auto">
+        <table className="text-sm border-separate border-spacing-1">
+          <thead>
+            <tr className="text-left text-xs text-gray-500">
+              <th className="py-2 pr-4 font-medium sticky left-0 bg-white">Team</th>
+              {planner.weeks.map((week) => (
+                <th key={week} className="py-2 px-2 font-medium align-bottom">
+                  <div>Wk {week}</div>
+                  <div className="font-normal text-gray-400 max-w-[6rem] whitespace-normal">
+                    {[...byeTeamsForWeek(byeTable, week)].join(" ") || "No byes"}
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {planner.rows.map((r) => (
+              <tr key={r.roster_id}>
+                <td className="py-2 pr-4 align-top sticky left-0 bg-white">
+                  <span className="flex items-center gap-2">
+                    {r.avatar ? (
+                      <img src={r.avatar} alt="avatar" className="h-6 w-6 rounded-full border border-gray-200" />
+                    ) : (
+                      <span className="h-6 w-6 rounded-full bg-gray-200" />
+                    )}
+                    <span className="font-medium text-gray-900 whitespace-nowrap">{r.name}</span>
+                  </span>
+                </td>
+                {r.cells.map((cell) => (
+                  <PlannerCell key={cell.week} cell={cell} slots={planner.slots} players={players} />
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500">
+        Each cell shows the players available for each starter slot (flex slots count every eligible player) against
+        the number the lineup needs. IR and taxi players are left out and injuries aren't projected forward. Hover a
+        cell to see who is on bye.
+      </p>
+    </div>
+  );
+}
+
+export default ByePlannerView;
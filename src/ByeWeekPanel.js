@@ -0,0 +1,36 @@
+import React from "react";
+import SeasonTablePanel from "./SeasonTablePanel";
+import { parseByeTable } from "./byeWeeks";
+
+function ByeWeekPanel({ season, table, source, onSave, onClear }) {
+  const weeks = Object.keys(table || {}).map(Number).sort((a, b) => a - b);
+
+  return (
+    <SeasonTablePanel
+      title="Bye weeks"
+      season={season}
+      source={source}
+      parse={parseByeTable}
+      onSave={onSave}
+      onClear={onClear}
+      help={
+        <>
+          Paste JSON like <code>{'{"5": ["PIT", "CHI"]}'}</code> or one line per week like <code>Week 5: PIT, CHI</code>.
+        </>
+      }
+      placeholder={"Week 5: PIT, CHI, GB, ATL\nWeek 6: HOU, MIN"}
+    >
+      {weeks.length > 0 && (
+        <ul className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-2 text-xs text-gray-700">
+          {weeks.map((w) => (
+            <li key={w}>
+              <span className="font-medium">Week {w}:</span> {table[w].length ? table[w].join(", ") : "none"}
+            </li>
+          ))}
+        </ul>
+      )}
+    </SeasonTablePanel>
+  );
+}
+
+export default ByeWeekPanel;
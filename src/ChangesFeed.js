@@ -0,0 +1,66 @@
+import React from "react";
+import { POLL_OPTIONS, notificationsSupported, requestNotificationPermission } from "./autoRefresh";
+import { TEXT } from "./statusTheme";
+
+function ChangesFeed({ settings, onSettingsChange, changes, onClear, lastChecked }) {
+  const toggleNotify = async () => {
+    if (settings.notify) {
+      onSettingsChange({ notify: false });
+    } else if (await requestNotificationPermission()) {
+      onSettingsChange({ notify: true });
+    }
+  };
+
+  return (
+    <div className="rounded-2xl p-6 bg-white border border-gray-200 shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="font-semibold text-gray-900">
+          Changes <span className="text-gray-500 font-normal">({changes.length})</span>
+        </h3>
+        <div className="flex flex-wrap items-center gap-3 text-xs text-gray-700">
+          <label className="flex items-center gap-2">
+            Auto-refresh
+            <select
+              className="px-2 py-1 rounded-lg border border-gray-300 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              value={settings.pollMinutes}
+              onChange={(e) => onSettingsChange({ pollMinutes: Number(e.target.value) })}
+            >
+              {POLL_OPTIONS.map((m) => (
+                <option key={m} value={m}>
+                  {m ? `every ${m} min` : "off"}
+                </option>
+              ))}
+            </select>
+          </label>
+          {notificationsSupported() && (
+            <label className="flex items-center gap-1.5 cursor-pointer">
+              <input type="checkbox" checked={settings.notify} onChange={toggleNotify} />
+              Browser notifications
+            </label>
+          )}
+          {changes.length > 0 && (
+            <button className="underline hover:text-gray-900" onClick={onClear}>
+              Clear
+            </button>
+          )}
+        </div>
+      </div>
+      {lastChecked && <p className="mt-1 text-xs text-gray-500">Last checked {new Date(lastChecked).toLocaleTimeString()}</p>}
+
+      {changes.length === 0 ? (
+        <p className="mt-3 text-sm text-gray-600">No status changes since the page was loaded.</p>
+      ) : (
+        <ul className="mt-3 space-y-1.5 text-sm">
+          {changes.map((c) => (
+            <li key={c.id} className="flex items-start gap-2">
+              <span className="shrink-0 text-xs text-gray-400 w-16">{new Date(c.at).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })}</span>
+              <span className={TEXT[c.to]}>{c.message}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ChangesFeed;
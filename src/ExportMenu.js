@@ -0,0 +1,46 @@
+import React, { useState } from "react";
+import { toCSV, toJSON, toMarkdown, downloadText } from "./exportReport";
+
+function ExportMenu({ teams, meta }) {
+  const [copied, setCopied] = useState(false);
+  const base = `lineups-${meta.leagueId}-week-${meta.week}`;
+
+  const copySummary = async () => {
+    try {
+      await navigator.clipboard.writeText(toMarkdown(teams, meta));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  const items = [
+    ["CSV (spreadsheet)", () => downloadText(`${base}.csv`, toCSV(teams), "text/csv")],
+    ["JSON", () => downloadText(`${base}.json`, toJSON(teams, meta), "application/json")],
+    ["Markdown summary", () => downloadText(`${base}.md`, toMarkdown(teams, meta), "text/markdown")],
+    [copied ? "Copied!" : "Copy chat summary", copySummary],
+  ];
+
+  return (
+    <details className="relative">
+      <summary className="list-none px-3 py-2 rounded-xl border border-gray-300 bg-white shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50 cursor-pointer">
+        Export
+      </summary>
+      <div className="absolute right-0 mt-2 w-52 rounded-xl border border-gray-200 bg-white shadow-lg z-40 py-1">
+        {items.map(([label, action]) => (
+          <button
+            key={label}
+            className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            onClick={action}
+            disabled={!teams.length}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+    </details>
+  );
+}
+
+export default ExportMenu;
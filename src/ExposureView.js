@@ -0,0 +1,124 @@
+import React, { useMemo, useState } from "react";
+import { buildExposure, exposureLines, exposureToText, EXPOSURE_KINDS, KIND_LABEL } from "./exposureReport";
+import { downloadText } from "./exportReport";
+
+const KIND_TONE = {
+  bye: "bg-rose-50 border border-rose-200 text-rose-700",
+  out: "bg-rose-50 border border-rose-200 text-rose-700",
+  questionable: "bg-amber-50 border border-amber-200 text-amber-700",
+};
+
+function KindBadge({ kind }) {
+  return <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${KIND_TONE[kind]}`}>{KIND_LABEL[kind]}</span>;
+}
+
+/**
+ * The week's lineups turned around: every bye, OUT or Questionable NFL player
+ * started anywhere in the league with the teams starting them, and how many
+ * teams each NFL team's absences touch. Meant for commissioners' recap posts.
+ */
+function ExposureView({ teams, week, leagueId, leagueName, onTeamClick }) {
+  const report = useMemo(() => buildExposure(teams), [teams]);
+  const [copied, setCopied] = useState(false);
+  const meta = { week, leagueName };
+
+  const copyText = async () => {
+    try {
+      await navigator.clipboard.writeText(exposureToText(report, meta));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (e) {
+      console.error(e);
+    }
+  };
+
+  const lines = exposureLines(report);
+
+  return (
+    <div className="space-y-6">
+      <div className="rounded-2xl p-6 bg-white border border-gray-200 shadow-sm">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <h3 className="font-semibold text-gray-900">
+            Exposure by NFL team <span className="text-gray-500 font-normal">· Week {week ?? "-"}</span>
+          </h3>
+          <div className="flex items-center gap-2 text-xs">
+            <button
+              className="px-3 py-1.5 rounded-lg border border-gray-300 bg-white font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              onClick={copyText}
+              disabled={!teams.length}
+            >
+              {copied ? "Copied!" : "Copy recap text"}
+            </button>
+            <button
+              className="px-3 py-1.5 rounded-lg border border-gray-300 bg-white font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              onClick={() =>
+                downloadText(`exposure-${leagueId}-week-${week}.txt`, exposureToText(report, meta), "text/plain")
+              }
+              disabled={!teams.length}
+            >
+              Download
+            </button>
+          </div>
+        </div>
+        {lines.length === 0 ? (
+          <p className="text-sm text-gray-600">
+            {teams.length ? "No team starts a player who is OUT, Questionable or on bye." : "No lineups loaded."}
+          </p>
+        ) : (
+          <ul className="text-sm text-gray-800 space-y-1">
+            {lines.map((l) => (
+              <li key={`${l.kind}:${l.team}`} className="flex items-center gap-2">
+                <KindBadge kind={l.kind} />
+                <span>{l.text}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {EXPOSURE_KINDS.map((kind) => {
+        const list = report.players.filter((p) => p.kind === kind);
+        if (!list.length) return null;
+        return (
+          <div key={kind} className="rounded-2xl p-6 bg-white border border-gray-200 shadow-sm">
+            <h3 className="font-semibold text-gray-900 mb-4">
+              {KIND_LABEL[kind]} <span className="text-gray-500 font-normal">({list.length})</span>
+            </h3>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b border-gray-100">
+                  <th className="py-2 pr-4 font-medium">Player</th>
+                  <th className="py-2 pr-4 font-medium">NFL</th>
+                  <th className="py-2 font-medium">Started by</th>
+                </tr>
+              </thead>
+              <tbody>
+                {list.map((p) => (
+                  <tr key={p.pid} className="border-b border-gray-50 align-top">
+                    <td className="py-2 pr-4">
+                      <span className="font-medium text-gray-900">{p.name}</span>{" "}
+                      <span className="text-xs text-gray-500">{p.position}</span>
+                    </td>
+                    <td className="py-2 pr-4 text-gray-700">{p.team || "-"}</td>
+                    <td className="py-2 text-gray-700">
+                      {p.teams.map((t, i) => (
+                        <React.Fragment key={t.roster_id}>
+                          {i > 0 && ", "}
+                          <button className="underline hover:text-gray-900" onClick={() => onTeamClick(t)}>
+                            {t.name}
+                          </button>
+                        </React.Fragment>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default ExposureView;
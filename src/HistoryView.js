@@ -0,0 +1,169 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { fetchMatchups } from "./sleeperApi";
+import { buildHistory } from "./seasonHistory";
+import { rowsToCSV, downloadText } from "./exportReport";
+
+const COLUMNS = [
+  { key: "name", label: "Manager" },
+  { key: "flaggedWeeks", label: "Weeks flagged" },
+  { key: "emptyWeeks", label: "Empty slot" },
+  { key: "outWeeks", label: "OUT starter" },
+  { key: "byeWeeks", label: "BYE starter" },
+  { key: "benchPoints", label: "Bench pts left" },
+];
+
+function sortValue(row, key) {
+  return Array.isArray(row[key]) ? row[key].length : row[key];
+}
+
+function WeekList({ weeks }) {
+  if (!weeks.length) return <span className="text-gray-400">0</span>;
+  return (
+    <span>
+      <span className="font-medium">{weeks.length}</span>{" "}
+      <span className="text-xs text-gray-500">(wk {weeks.join(", ")})</span>
+    </span>
+  );
+}
+
+function HistoryView({ leagueId, league, rosters, users, players, byeTable, rules, lastCompletedWeek }) {
+  const [weeks, setWeeks] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [failedWeeks, setFailedWeeks] = useState([]);
+  const [attempt, setAttempt] = useState(0);
+  const [sort, setSort] = useState({ key: "flaggedWeeks", dir: -1 });
+
+  // Each week loads on its own, so one failed request only leaves that week out
+  useEffect(() => {
+    if (!leagueId || !lastCompletedWeek) return;
+    let aborted = false;
+    setLoading(true);
+    setFailedWeeks([]);
+    const weekNumbers = Array.from({ length: lastCompletedWeek }, (_, i) => i + 1);
+    Promise.allSettled(weekNumbers.map((week) => fetchMatchups(leagueId, week))).then((results) => {
+      if (aborted) return;
+      const loaded = [];
+      const failed = [];
+      results.forEach((r, i) => {
+        if (r.status === "fulfilled") loaded.push({ week: weekNumbers[i], matchups: r.value });
+        else {
+          console.error(r.reason);
+          failed.push(weekNumbers[i]);
+        }
+      });
+      setWeeks(loaded);
+      setFailedWeeks(failed);
+      setLoading(false);
+    });
+    return () => {
+      aborted = true;
+    };
+  }, [leagueId, lastCompletedWeek, attempt]);
+
+  const rows = useMemo(() => {
+    if (!players) return [];
+    const built = buildHistory({ weeks, rosters, users, league, players, byeTable, rules });
+    return built.sort((a, b) => {
+      const va = sortValue(a, sort.key);
+      const vb = sortValue(b, sort.key);
+      const cmp = typeof va === "string" ? va.localeCompare(vb) : va - vb;
+      return cmp * sort.dir || a.name.localeCompare(b.name);
+    });
+  }, [weeks, rosters, users, league, players, byeTable, rules, sort]);
+
+  const exportCSV = () => {
+    const flat = rows.map((r) => ({
+      manager: r.name,
+      weeks_flagged: r.flaggedWeeks,
+      empty_slot_weeks: r.emptyWeeks.join(" "),
+      out_starter_weeks: r.outWeeks.join(" "),
+      bye_starter_weeks: r.byeWeeks.join(" "),
+      bench_points_left: r.benchPoints,
+    }));
+    downloadText(`lineup-history-${leagueId}.csv`, rowsToCSV(Object.keys(flat[0] || {}), flat), "text/csv");
+  };
+
+  if (!lastCompletedWeek) return <p className="text-sm text-gray-600">No completed weeks yet this season.</p>;
+
+  return (
+    <div className="rounded-2xl p-6 bg-white border border-gray-200 shadow-sm space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="font-semibold text-gray-900">
+          Lineup history <span className="text-gray-500 font-normal">(weeks 1–{lastCompletedWeek})</span>
+        </h3>
+        <button
+          className="px-3 py-1.5 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-800 text-xs font-medium disabled:opacity-50"
+          onClick={exportCSV}
+          disabled={!rows.length || loading}
+        >
+          Export CSV
+        </button>
+      </div>
+
+      {failedWeeks.length > 0 && !loading && (
+        <div className="rounded-xl px-4 py-3 bg-amber-50 border border-amber-200 text-sm text-amber-800 flex flex-wrap items-center justify-between gap-3">
+          <span>
+            Couldn't load week{failedWeeks.length === 1 ? "" : "s"} {failedWeeks.join(", ")} from Sleeper; the totals
+            below leave {failedWeeks.length === 1 ? "it" : "them"} out.
+          </span>
+          <button
+            className="shrink-0 px-3 py-1 rounded-lg bg-white/70 border border-current text-xs font-medium hover:bg-white"
+            onClick={() => setAttempt((n) => n + 1)}
+          >
+            Try again
+          </button>
+        </div>
+      )}
+      {loading ? (
+        <p className="text-sm text-gray-500 animate-pulse">Loading {lastCompletedWeek} weeks of matchups…</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b border-gray-100">
+                {COLUMNS.map((c) => (
+                  <th key={c.key} className="py-2 pr-4 font-medium">
+                    <button
+                      className="hover:text-gray-900"
+                      onClick={() => setSort((s) => ({ key: c.key, dir: s.key === c.key ? -s.dir : c.key === "name" ? 1 : -1 }))}
+                    >
+                      {c.label}
+                      {sort.key === c.key ? (sort.dir === 1 ? " ▲" : " ▼") : ""}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.roster_id} className="border-b border-gray-50">
+                  <td className="py-2 pr-4">
+                    <span className="flex items-center gap-2">
+                      {r.avatar ? (
+                        <img src={r.avatar} alt="avatar" className="h-6 w-6 rounded-full border border-gray-200" />
+                      ) : (
+                        <span className="h-6 w-6 rounded-full bg-gray-200" />
+                      )}
+                      <span className="font-medium text-gray-900">{r.name}</span>
+                    </span>
+                  </td>
+                  <td className={`py-2 pr-4 font-medium ${r.flaggedWeeks ? "text-rose-600" : "text-gray-400"}`}>{r.flaggedWeeks}</td>
+                  <td className="py-2 pr-4"><WeekList weeks={r.emptyWeeks} /></td>
+                  <td className="py-2 pr-4"><WeekList weeks={r.outWeeks} /></td>
+                  <td className="py-2 pr-4"><WeekList weeks={r.byeWeeks} /></td>
+                  <td className="py-2 pr-4">{r.benchPoints.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <p className="text-xs text-gray-500">
+        Sleeper only publishes current injury designations, so an OUT week is counted when a starter is OUT today
+        and scored 0 that week. Confirm before enforcing penalties.
+      </p>
+    </div>
+  );
+}
+
+export default HistoryView;
@@ -0,0 +1,154 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { fetchLeagueBundle, fetchMatchups, avatarUrl } from "./sleeperApi";
+import { buildTeams } from "./evaluateLeague";
+import { loadStatusRules } from "./statusRules";
+
+const SUMMARY = [
+  { key: "OK", label: "Complete", className: "bg-emerald-50 text-emerald-700 border-emerald-200" },
+  { key: "POTENTIAL", label: "Potential", className: "bg-amber-50 text-amber-700 border-amber-200" },
+  { key: "INCOMPLETE", label: "Incomplete", className: "bg-rose-50 text-rose-700 border-rose-200" },
+];
+
+function LeagueCard({ leagueId, entry, summary, onOpen, onRemove }) {
+  const league = entry?.league;
+  return (
+    <div className="rounded-2xl p-5 bg-white border border-gray-200 shadow-sm flex flex-col gap-4">
+      <div className="flex items-start gap-3">
+        {league?.avatar ? (
+          <img src={avatarUrl(league.avatar)} alt="avatar" className="h-10 w-10 rounded-full border border-gray-200 shadow-sm" />
+        ) : (
+          <div className="h-10 w-10 rounded-full bg-gray-200" />
+        )}
+        <div className="min-w-0 flex-1">
+          <button className="font-semibold text-gray-900 truncate hover:underline text-left" onClick={() => onOpen(leagueId)}>
+            {league?.name || leagueId}
+          </button>
+          <p className="text-xs text-gray-500 truncate">{leagueId}</p>
+        </div>
+        <button
+          className="text-gray-400 hover:text-gray-600 text-xs"
+          onClick={() => onRemove(leagueId)}
+          title="Remove from dashboard"
+        >
+          Remove
+        </button>
+      </div>
+
+      {entry?.error ? (
+        <p className="text-sm text-rose-600">{entry.error}</p>
+      ) : !summary ? (
+        <p className="text-sm text-gray-500 animate-pulse">Loading…</p>
+      ) : (
+        <div className="grid grid-cols-3 gap-2">
+          {SUMMARY.map(({ key, label, className }) => (
+            <div key={key} className={`rounded-xl border px-2 py-2 text-center ${className}`}>
+              <div className="text-xl font-bold">{summary[key]}</div>
+              <div className="text-xs">{label}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <button
+        className="mt-auto py-2 px-4 bg-gray-100 hover:bg-gray-200 text-gray-800 rounded-lg text-sm font-medium"
+        onClick={() => onOpen(leagueId)}
+      >
+        Open league
+      </button>
+    </div>
+  );
+}
+
+// One league's bundle and matchups for a week, or its error
+async function loadLeague(leagueId, week) {
+  try {
+    const [bundle, matchups] = await Promise.all([fetchLeagueBundle(leagueId), fetchMatchups(leagueId, week)]);
+    return { ...bundle, matchups, week };
+  } catch (e) {
+    console.error(e);
+    return { error: e?.message || "Failed to load league", week };
+  }
+}
+
+function LeagueDashboard({ leagueIds, week, players, byeSet, games, onOpen, onAdd, onRemove }) {
+  // Raw league payloads keyed by league ID; summaries are derived so bye and
+  // schedule changes apply without refetching
+  const [data, setData] = useState({});
+  // "leagueId:week" keys already loaded or in flight, so adding a league only fetches that one
+  const requested = useRef(new Set());
+  const wanted = useRef(new Set());
+
+  useEffect(() => {
+    if (!week) return;
+    wanted.current = new Set(leagueIds.map((id) => `${id}:${week}`));
+    // Forget removed leagues and other weeks, so they load again if they come back
+    for (const key of requested.current) if (!wanted.current.has(key)) requested.current.delete(key);
+    setData((prev) => {
+      const kept = Object.entries(prev).filter(([id, entry]) => wanted.current.has(`${id}:${entry.week}`));
+      return kept.length === Object.keys(prev).length ? prev : Object.fromEntries(kept);
+    });
+
+    leagueIds
+      .filter((id) => !requested.current.has(`${id}:${week}`))
+      .forEach((id) => {
+        const key = `${id}:${week}`;
+        requested.current.add(key);
+        loadLeague(id, week).then((entry) => {
+          if (wanted.current.has(key)) setData((prev) => ({ ...prev, [id]: entry }));
+        });
+      });
+  }, [leagueIds, week]);
+
+  const summaries = useMemo(() => {
+    const out = {};
+    for (const [leagueId, entry] of Object.entries(data)) {
+      if (entry.error || !players) continue;
+      const teams = buildTeams({ ...entry, players, byeSet, rules: loadStatusRules(leagueId), games });
+      out[leagueId] = { OK: 0, POTENTIAL: 0, INCOMPLETE: 0 };
+      for (const t of teams) out[leagueId][t.status] += 1;
+    }
+    return out;
+  }, [data, players, byeSet, games]);
+
+  return (
+    <div className="space-y-6">
+      <form
+        className="flex items-center gap-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          const value = e.target.elements.leagueId.value.trim();
+          if (value) onAdd(value);
+          e.target.reset();
+        }}
+      >
+        <input
+          name="leagueId"
+          className="px-4 py-2 rounded-xl border border-gray-300 bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm w-64"
+          placeholder="Add League ID"
+        />
+        <button className="px-4 py-2 rounded-xl bg-blue-600 text-white text-sm font-medium shadow-sm hover:bg-blue-500 active:bg-blue-700">
+          Add
+        </button>
+      </form>
+
+      {leagueIds.length === 0 ? (
+        <p className="text-sm text-gray-600">No saved leagues yet. Add a league ID above or save one from the league view.</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          {leagueIds.map((leagueId) => (
+            <LeagueCard
+              key={leagueId}
+              leagueId={leagueId}
+              entry={data[leagueId]}
+              summary={summaries[leagueId]}
+              onOpen={onOpen}
+              onRemove={onRemove}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LeagueDashboard;
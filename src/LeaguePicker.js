@@ -0,0 +1,106 @@
+import React, { useState } from "react";
+import { fetchUser, fetchUserLeagues, avatarUrl } from "./sleeperApi";
+
+function LeagueAvatar({ avatar, size = "h-8 w-8" }) {
+  return avatar ? (
+    <img src={avatarUrl(avatar)} alt="avatar" className={`${size} rounded-full border border-gray-200 shadow-sm`} />
+  ) : (
+    <div className={`${size} rounded-full bg-gray-200`} />
+  );
+}
+
+// Resolves a Sleeper username to its NFL leagues for the season and lets the
+// user pick one; recently opened leagues are offered as one-click shortcuts.
+function LeaguePicker({ season, recent, onPick }) {
+  const [username, setUsername] = useState("");
+  const [leagues, setLeagues] = useState(null);
+  const [owner, setOwner] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  const search = async (e) => {
+    e.preventDefault();
+    const name = username.trim();
+    if (!name || !season) return;
+    setSearching(true);
+    setError(null);
+    setLeagues(null);
+    try {
+      const user = await fetchUser(name);
+      if (!user?.user_id) {
+        setError(`No Sleeper user named "${name}"`);
+        return;
+      }
+      setOwner(user);
+      setLeagues(await fetchUserLeagues(user.user_id, season));
+    } catch (err) {
+      console.error(err);
+      setError(err?.message || "Failed to look up user");
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  return (
+    <div className="rounded-2xl p-5 bg-white border border-gray-200 shadow-sm space-y-4">
+      <form className="flex flex-wrap items-center gap-2" onSubmit={search}>
+        <input
+          className="px-4 py-2 rounded-xl border border-gray-300 bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm w-64"
+          placeholder="Sleeper username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+        />
+        <button
+          className="px-4 py-2 rounded-xl bg-gray-900 text-white text-sm font-medium shadow-sm hover:bg-gray-700 disabled:opacity-50"
+          disabled={searching || !season}
+        >
+          {searching ? "Searching…" : "Find leagues"}
+        </button>
+        {error && <span className="text-sm text-rose-600">{error}</span>}
+      </form>
+
+      {leagues && (
+        <div>
+          <p className="text-xs text-gray-500 mb-2">
+            {leagues.length} {season} {leagues.length === 1 ? "league" : "leagues"} for {owner?.display_name || username}
+          </p>
+          <ul className="grid grid-cols-1 md:grid-cols-3 gap-2">
+            {leagues.map((l) => (
+              <li key={l.league_id}>
+                <button
+                  className="w-full flex items-center gap-3 p-2 rounded-lg border border-gray-100 hover:bg-gray-50 text-left"
+                  onClick={() => onPick(l.league_id)}
+                >
+                  <LeagueAvatar avatar={l.avatar} />
+                  <span className="min-w-0">
+                    <span className="block text-sm font-medium text-gray-900 truncate">{l.name}</span>
+                    <span className="block text-xs text-gray-500">{l.total_rosters} teams</span>
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {recent.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-xs text-gray-500">Recent:</span>
+          {recent.map((l) => (
+            <button
+              key={l.league_id}
+              className="flex items-center gap-2 pl-1 pr-3 py-1 rounded-full border border-gray-200 bg-gray-50 hover:bg-gray-100 text-xs font-medium text-gray-700"
+              onClick={() => onPick(l.league_id)}
+              title={l.league_id}
+            >
+              <LeagueAvatar avatar={l.avatar} size="h-5 w-5" />
+              {l.name || l.league_id}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LeaguePicker;
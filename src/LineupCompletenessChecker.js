@@ -1,4 +1,33 @@
-import React, { useEffect, useMemo, useState, useCallback } from "react";
+import React, { useEffect, useMemo, useState, useCallback, useRef } from "react";
+import { useByeWeeks, byeTeamsForWeek } from "./byeWeeks";
+import ByeWeekPanel from "./ByeWeekPanel";
+import { useSchedule, gamesForWeek } from "./schedule";
+import SchedulePanel from "./SchedulePanel";
+import { useStatusRules } from "./statusRules";
+import RulesPanel from "./RulesPanel";
+import { fetchNflState, fetchLeagueBundle, fetchMatchups } from "./sleeperApi";
+import { loadPlayers, formatAge } from "./playerCache";
+import { buildTeams, groupTeams, teamForUser, opponentOf } from "./evaluateLeague";
+import { useSavedLeagues, useRecentLeagues } from "./savedLeagues";
+import LeagueDashboard from "./LeagueDashboard";
+import LeaguePicker from "./LeaguePicker";
+import { useHashRoute, STATUSES } from "./hashRoute";
+import { useAutoRefreshSettings, showChangeNotifications, pollChanges } from "./autoRefresh";
+import ChangesFeed from "./ChangesFeed";
+import ExportMenu from "./ExportMenu";
+import LoadNotices from "./LoadNotices";
+import MyTeamView, { MyTeamBanner } from "./MyTeamView";
+import { useMyTeam } from "./myTeam";
+import { saveSnapshot, loadSnapshot } from "./offlineSnapshot";
+import MatchupGrid from "./MatchupGrid";
+import HistoryView from "./HistoryView";
+import { LIGHT, DOT, TEXT } from "./statusTheme";
+import { slotLabel } from "./rosterSlots";
+import TeamLineup, { SlotPointsLost, PointsLostSummary } from "./TeamLineup";
+import { buildCompliance } from "./rosterCompliance";
+import RosterCompliancePanel from "./RosterCompliancePanel";
+import ExposureView from "./ExposureView";
+import ByePlannerView from "./ByePlannerView";
 
 /**
  * Sleeper Lineup Completeness Checker — client-only
@@ -16,130 +45,149 @@ import React, { useEffect, useMemo, useState, useCallback } from "react";
  *
  * Notes
  * - The Sleeper API doesn't expose a simple week-by-week schedule/bye feed.
- *   We include a hardcoded 2025 bye map below (source: FantasyAlarm May 14, 2025).
- *   You can update BYE_MAP_2025 for accuracy each season, or wire a schedule API.
+ *   Bye weeks come from per-season tables (see byeWeeks.js), keyed by state.season,
+ *   and can be overridden in the UI without touching the source.
  */
 
 const DEFAULT_LEAGUE_ID = "1180160954902351872";
-const API = "https://api.sleeper.app/v1";
-
-// --- 2025 NFL Bye Weeks map (teams by Sleeper/standard abbreviations) ---
-// Keep this mapping updated per season. Weeks are NFL regular-season weeks.
-// Source: User provided 2025 NFL Bye Week schedule
-// If a team appears under the current week, its players/DST are treated as OUT.
-// Abbreviations should match Sleeper player.team (e.g., "KC", "PHI").
-const BYE_MAP_2025 = {
-  5: ["PIT", "CHI", "GB", "ATL"],
-  6: ["HOU", "MIN"],
-  7: ["BAL", "BUF"],
-  8: ["JAX", "LV", "DET", "ARI", "SEA", "LAR"],
-  9: ["PHI", "CLE", "NYJ", "TB"],
-  10: ["KC", "CIN", "TEN", "DAL"],
-  11: ["IND", "NO"],
-  12: ["MIA", "DEN", "LAC", "WAS"],
-  13: [], // No teams on bye in Week 13
-  14: ["NYG", "NE", "CAR", "SF"],
-};
-
-// Color tokens
-const BG = {
-  OK: "bg-emerald-600",
-  POTENTIAL: "bg-amber-500",
-  INCOMPLETE: "bg-rose-600",
-};
 
-const LIGHT = {
-  OK: "bg-emerald-50 border border-emerald-200",
-  POTENTIAL: "bg-amber-50 border border-amber-200",
-  INCOMPLETE: "bg-rose-50 border border-rose-200",
+const SECTION_TITLE = {
+  OK: "Complete",
+  POTENTIAL: "Potential to be Incomplete",
+  INCOMPLETE: "Incomplete",
 };
 
-const DOT = {
-  OK: "bg-emerald-600",
-  POTENTIAL: "bg-amber-500",
-  INCOMPLETE: "bg-rose-600",
+const GRID_COLS = {
+  2: "md:grid-cols-2",
+  3: "md:grid-cols-3",
 };
 
-const TEXT = {
-  OK: "text-emerald-600",
-  POTENTIAL: "text-amber-500",
-  INCOMPLETE: "text-rose-600",
-};
+// Re-renders every `intervalMs` so kickoff-based locks and cache ages stay current
+function useNow(intervalMs) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(id);
+  }, [intervalMs]);
+  return now;
+}
 
-// Position display order for lineup
-const POSITION_ORDER = {
-  QB: 1,
-  RB: 2,
-  WR: 3,
-  TE: 4,
-  FLEX: 5,
-  K: 6,
-  DEF: 7,
-};
+// Sleeper leagues score NFL regular-season weeks 1–18; fantasy playoffs run inside that range
+const MAX_WEEK = 18;
 
-function avatarUrl(avatarId, size = "thumbs") {
-  if (!avatarId) return null;
-  return `https://sleepercdn.com/avatars/${size === "thumbs" ? "thumbs/" : ""}${avatarId}`;
+function currentWeekOf(state) {
+  return Number(state?.display_week || state?.week || state?.leg) || 1;
 }
 
-function displayTeamName(user) {
-  return (
-    user?.metadata?.team_name || user?.display_name || user?.username || `Team ${user?.user_id}`
-  );
-}
+// NFL state and the /players/nfl dictionary are shared by every league
+function useNflData() {
+  const [state, setState] = useState(null);
+  const [players, setPlayers] = useState(null);
+  const [playersFetchedAt, setPlayersFetchedAt] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [offlineAt, setOfflineAt] = useState(null);
+
+  const run = useCallback(async (force, isAborted = () => false) => {
+    setLoading(true);
+    setError(null);
+    // Either half is useful on its own, so one failing doesn't discard the other
+    const [nfl, cached] = await Promise.allSettled([fetchNflState(), loadPlayers({ force })]);
+    if (isAborted()) return;
+    const snapshot = nfl.status === "rejected" && nfl.reason?.transient ? loadSnapshot() : null;
+    if (nfl.status === "fulfilled") setState(nfl.value);
+    else if (snapshot?.state) setState(snapshot.state);
+    setOfflineAt(snapshot?.state ? snapshot.savedAt : null);
+    if (cached.status === "fulfilled") {
+      setPlayers(cached.value.players);
+      setPlayersFetchedAt(cached.value.fetchedAt);
+    }
+    const failure = [snapshot?.state ? null : nfl, cached].find((r) => r?.status === "rejected");
+    if (failure) {
+      console.error(failure.reason);
+      setError(failure.reason);
+    }
+    setLoading(false);
+  }, []);
 
-function isDSTStarterId(pid) {
-  return /^[A-Z]{2,4}$/.test(pid); // e.g., "PHI", "KC" as D/ST codes
-}
+  useEffect(() => {
+    let aborted = false;
+    run(false, () => aborted);
+    return () => {
+      aborted = true;
+    };
+  }, [run]);
+
+  // Bypasses the player cache to pick up the latest injury designations
+  const refreshPlayers = useCallback(() => run(true), [run]);
+  const reload = useCallback(() => run(false), [run]);
+
+  // Quiet re-pull for auto-refresh: /players/nfl is downloaded again once the
+  // cached copy is older than `maxAgeMs`, without the page-wide loading state
+  const fetchedAtRef = useRef(null);
+  fetchedAtRef.current = playersFetchedAt;
+  const pollPlayers = useCallback(async (maxAgeMs) => {
+    try {
+      const cached = await loadPlayers({ maxAgeMs });
+      if (cached.fetchedAt === fetchedAtRef.current) return;
+      setPlayers(cached.players);
+      setPlayersFetchedAt(cached.fetchedAt);
+    } catch (e) {
+      console.error(e);
+    }
+  }, []);
 
-function classifyInjury(player) {
-  const inj = String(player?.injury_status || "").toLowerCase();
-  const status = String(player?.status || "").toLowerCase();
-  // Treat IR/Suspended/PUP as OUT as requested
-  if (["out", "ir", "suspended", "pup"].includes(inj) || ["ir", "suspension", "pup"].includes(status))
-    return "INCOMPLETE";
-  if (["questionable", "doubtful"].includes(inj)) return "POTENTIAL";
-  return "OK";
+  return { state, players, playersFetchedAt, refreshPlayers, pollPlayers, reload, loading, error, offlineAt };
 }
 
-function useSleeper(leagueId) {
-  const [state, setState] = useState(null);
+function useSleeper(leagueId, week) {
   const [users, setUsers] = useState([]);
   const [rosters, setRosters] = useState([]);
   const [matchups, setMatchups] = useState([]);
-  const [players, setPlayers] = useState(null);
   const [league, setLeague] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-
+  const [matchupsLoading, setMatchupsLoading] = useState(false);
+  const [leagueError, setLeagueError] = useState(null);
+  const [matchupsError, setMatchupsError] = useState(null);
+  // Users/rosters requests that failed while the league itself loaded
+  const [warnings, setWarnings] = useState([]);
+  const [attempt, setAttempt] = useState(0);
+  // When Sleeper can't be reached, the last snapshot (offlineSnapshot.js) stands in; these hold its time
+  const [leagueOfflineAt, setLeagueOfflineAt] = useState(null);
+  const [matchupsOfflineAt, setMatchupsOfflineAt] = useState(null);
+
+  // League-level data only changes with the league
   useEffect(() => {
+    if (!leagueId) return;
     let aborted = false;
     async function run() {
       setLoading(true);
-      setError(null);
+      setLeagueError(null);
+      setWarnings([]);
+      setLeagueOfflineAt(null);
       try {
-        // Add timestamp to prevent caching
-        const timestamp = Date.now();
-        const nfl = await fetch(`${API}/state/nfl?_=${timestamp}`).then((r) => r.json());
-        if (aborted) return;
-        setState(nfl);
-        const week = nfl.display_week || nfl.week || nfl.leg;
-        const [u, r, m, p, l] = await Promise.all([
-          fetch(`${API}/league/${leagueId}/users?_=${timestamp}`).then((r) => r.json()),
-          fetch(`${API}/league/${leagueId}/rosters?_=${timestamp}`).then((r) => r.json()),
-          fetch(`${API}/league/${leagueId}/matchups/${week}?_=${timestamp}`).then((r) => r.json()),
-          fetch(`${API}/players/nfl?_=${timestamp}`).then((r) => r.json()), // large — cacheable
-          fetch(`${API}/league/${leagueId}?_=${timestamp}`).then((r) => r.json()), // get league info for roster_positions
-        ]);
+        const bundle = await fetchLeagueBundle(leagueId);
         if (aborted) return;
-        setUsers(u);
-        setRosters(r);
-        setMatchups(Array.isArray(m) ? m : []);
-        setPlayers(p);
-        setLeague(l);
+        setUsers(bundle.users);
+        setRosters(bundle.rosters);
+        setLeague(bundle.league);
+        setWarnings(bundle.errors);
       } catch (e) {
         console.error(e);
-        setError(e?.message || "Failed to load data");
+        if (aborted) return;
+        const snapshot = e.transient ? loadSnapshot(leagueId) : null;
+        if (snapshot) {
+          setUsers(snapshot.users);
+          setRosters(snapshot.rosters);
+          setLeague(snapshot.league);
+          setLeagueOfflineAt(snapshot.savedAt);
+          return;
+        }
+        // Don't leave the previous league on screen under the new ID
+        setUsers([]);
+        setRosters([]);
+        setLeague(null);
+        setLeagueError(e);
       } finally {
         if (!aborted) setLoading(false);
       }
@@ -148,95 +196,79 @@ function useSleeper(leagueId) {
     return () => {
       aborted = true;
     };
-  }, [leagueId]);
-
-  return { state, users, rosters, matchups, players, league, loading, error };
-}
+  }, [leagueId, attempt]);
 
-function TeamLineupModal({ team, onClose, matchup, players, byeTeamsThisWeek, league }) {
-  if (!team || !matchup) return null;
-  
-  // Use league's roster_positions if available, otherwise fall back to standard positions
-  const rosterPositions = league?.roster_positions || ["QB", "RB", "RB", "WR", "WR", "TE", "FLEX", "FLEX", "DEF", "K"];
-  
-  const starters = matchup.starters || [];
-  const starterDetails = starters.map((pid, index) => {
-    // Handle empty slots - assign position based on league's roster_positions
-    // Be more thorough about what constitutes "empty" - Sleeper uses "0" for empty slots
-    if (!pid || pid === "" || pid === null || pid === undefined || pid === "0") {
-      // Get position based on index from league's roster_positions, default to "FLEX" if beyond positions
-      const position = index < rosterPositions.length ? rosterPositions[index] : "FLEX";
-      return {
-        pid: `empty-${index}`,
-        name: "EMPTY",
-        position: position,
-        status: "INCOMPLETE",
-        reason: "Empty Slot",
-        isEmpty: true
-      };
-    }
-    
-    // Handle D/ST separately
-    if (isDSTStarterId(pid)) {
-      const isDST = true;
-      const onBye = byeTeamsThisWeek.has(pid);
-      return {
-        pid,
-        name: `${pid} D/ST`,
-        position: "DEF",
-        status: onBye ? "INCOMPLETE" : "OK",
-        reason: onBye ? "BYE" : "Active",
-        isDST,
-        isDefense: true
-      };
-    }
-    
-    const player = players[pid];
-    if (!player) {
-      // For missing players, also use the league's roster positions
-      const position = index < rosterPositions.length ? rosterPositions[index] : "FLEX";
-      return { pid, name: "EMPTY", position: position, status: "INCOMPLETE", reason: "Empty Slot", isEmpty: true };
-    }
-    
-    const fullName = `${player.first_name || ""} ${player.last_name || ""}`.trim();
-    const position = player.position || (index < rosterPositions.length ? rosterPositions[index] : "FLEX");
-    
-    // Check for bye week
-    const onBye = player.team && byeTeamsThisWeek.has(player.team);
-    if (onBye) {
-      return {
-        pid,
-        name: fullName,
-        position,
-        status: "INCOMPLETE",
-        reason: "BYE"
-      };
+  // Matchups are refetched whenever the selected week changes
+  useEffect(() => {
+    if (!leagueId || !week) return;
+    let aborted = false;
+    async function run() {
+      setMatchupsLoading(true);
+      setMatchups([]);
+      setMatchupsError(null);
+      setMatchupsOfflineAt(null);
+      try {
+        const m = await fetchMatchups(leagueId, week);
+        if (aborted) return;
+        setMatchups(m);
+      } catch (e) {
+        console.error(e);
+        if (aborted) return;
+        const snapshot = e.transient ? loadSnapshot(leagueId, week) : null;
+        if (snapshot) {
+          setMatchups(snapshot.matchups);
+          setMatchupsOfflineAt(snapshot.savedAt);
+        } else {
+          setMatchupsError(e);
+        }
+      } finally {
+        if (!aborted) setMatchupsLoading(false);
+      }
     }
-    
-    // Check injury status
-    const status = classifyInjury(player);
-    const reason = player.injury_status || player.status || (status === "INCOMPLETE" ? "Out" : null);
-    
-    // Explicitly check for PUP status
-    const isPUP = (player.injury_status || "").toLowerCase() === "pup" || 
-                  (player.status || "").toLowerCase() === "pup";
-    
-    return {
-      pid,
-      name: fullName,
-      position,
-      status: isPUP ? "INCOMPLETE" : status,
-      reason: isPUP ? "PUP" : reason
+    run();
+    return () => {
+      aborted = true;
     };
-  });
-  
-  // Sort by position order
-  const sortedStarters = [...starterDetails].sort((a, b) => {
-    const orderA = POSITION_ORDER[a.position] || 99;
-    const orderB = POSITION_ORDER[b.position] || 99;
-    return orderA - orderB;
-  });
-  
+  }, [leagueId, week, attempt]);
+
+  // Quiet re-pull for auto-refresh: keeps the current matchups on screen until the new ones arrive
+  const currentKey = useRef(null);
+  currentKey.current = `${leagueId}:${week}`;
+  const refreshMatchups = useCallback(async () => {
+    if (!leagueId || !week) return;
+    const key = `${leagueId}:${week}`;
+    try {
+      const m = await fetchMatchups(leagueId, week);
+      if (currentKey.current !== key) return;
+      setMatchups(m);
+      setMatchupsError(null);
+      setMatchupsOfflineAt(null);
+    } catch (e) {
+      console.error(e);
+      if (currentKey.current === key) setMatchupsError(e);
+    }
+  }, [leagueId, week]);
+
+  const reload = useCallback(() => setAttempt((n) => n + 1), []);
+
+  return {
+    users,
+    rosters,
+    matchups,
+    league,
+    refreshMatchups,
+    reload,
+    loading: loading || matchupsLoading,
+    // A missing league explains any matchups failure too
+    error: leagueError || matchupsError,
+    warnings,
+    offlineAt: leagueOfflineAt || matchupsOfflineAt,
+  };
+}
+
+function TeamLineupModal({ team, players, onClose }) {
+  if (!team) return null;
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
       <div className="bg-white rounded-xl shadow-xl max-w-lg w-full max-h-[90vh] overflow-y-auto">
@@ -261,20 +293,13 @@ function TeamLineupModal({ team, onClose, matchup, players, byeTeamsThisWeek, le
           </div>
           
           <h3 className="font-semibold text-gray-700 mb-3">Starting Lineup</h3>
+          {team.pointsLost && (
+            <p className="-mt-1 mb-3 text-sm">
+              <PointsLostSummary team={team} />
+            </p>
+          )}
           
-          <ul className="space-y-2">
-            {sortedStarters.map((player) => (
-              <li key={player.pid} className="flex items-center p-2 rounded-lg border border-gray-100 hover:bg-gray-50">
-                <div className="w-10 text-xs font-medium text-gray-500">{player.position}</div>
-                <div className="flex-1 font-medium">{player.name}</div>
-                <div className={`text-sm font-medium ${player.reason === "PUP" || player.reason === "Empty Slot" ? TEXT.INCOMPLETE : TEXT[player.status]}`}>
-                  {player.reason === "Active" ? "Active" : 
-                   player.reason || 
-                   (player.status === "OK" ? (player.position === "DEF" ? "Active" : "Healthy") : "")}
-                </div>
-              </li>
-            ))}
-          </ul>
+          <TeamLineup team={team} players={players} />
           
           <div className="mt-6 pt-4 border-t border-gray-100">
             <button
@@ -309,25 +334,43 @@ function Section({ title, items, tone, onTeamClick }) {
                 <div className="h-10 w-10 rounded-full bg-gray-200" />
               )}
               <div className="min-w-0 flex-1">
-                <div 
-                  className="font-medium text-gray-900 truncate cursor-pointer hover:underline"
-                  onClick={() => onTeamClick(t)}
-                >
-                  {t.name}
+                <div className="flex items-baseline justify-between gap-2">
+                  <div 
+                    className="font-medium text-gray-900 truncate cursor-pointer hover:underline"
+                    onClick={() => onTeamClick(t)}
+                  >
+                    {t.name}
+                  </div>
+                  {t.flagged?.length ? (
+                    <span className={`shrink-0 text-xs font-medium ${TEXT[tone]}`}>
+                      {t.flagged.length} {t.flagged.length === 1 ? "issue" : "issues"}
+                    </span>
+                  ) : null}
                 </div>
                 {t.flagged?.length ? (
                   <ul className="mt-1 text-xs text-gray-700 space-y-1">
-                    {t.flagged.map((f, i) => (
-                      <li key={i} className="flex items-start">
+                    {t.flagged.map((f) => (
+                      <li key={f.index} className="flex items-start">
                         <span className="mr-1.5">•</span>
                         <span>
-                          {f.name || f.pid}{" "}
-                          {f.reason ? <span className="text-gray-500">— {f.reason}</span> : null}
+                          <span className="font-medium text-gray-500">{slotLabel(f.slot)}</span>{" "}
+                          {f.isEmpty ? "Empty Slot" : f.name || f.pid}{" "}
+                          {f.reason && !f.isEmpty ? <span className="text-gray-500">— {f.reason}</span> : null}
+                          {t.pointsLost?.slots[f.index] && (
+                            <span className="block">
+                              <SlotPointsLost entry={t.pointsLost.slots[f.index]} />
+                            </span>
+                          )}
                         </span>
                       </li>
                     ))}
                   </ul>
                 ) : null}
+                {t.pointsLost && (
+                  <div className="mt-1 text-xs">
+                    <PointsLostSummary team={t} />
+                  </div>
+                )}
               </div>
             </li>
           ))}
@@ -338,127 +381,176 @@ function Section({ title, items, tone, onTeamClick }) {
 }
 
 function LineupCompletenessChecker() {
-  const [leagueId, setLeagueId] = useState(DEFAULT_LEAGUE_ID);
-  const [selectedTeam, setSelectedTeam] = useState(null);
-  const [selectedMatchup, setSelectedMatchup] = useState(null);
-  const { state, users, rosters, matchups, players, league, loading, error } = useSleeper(leagueId);
+  // League, week, open team and visible columns all live in the URL hash (see hashRoute.js)
+  const [route, navigate] = useHashRoute(DEFAULT_LEAGUE_ID);
+  const { view, leagueId, show, layout } = route;
+  // null follows Sleeper's current week; a number pins the checker to that week
+  const selectedWeek = route.week;
+  const selectedRosterId = route.team;
+  const saved = useSavedLeagues();
+  const { recent, remember } = useRecentLeagues();
+  const { myTeam, setMyTeam, clearMyTeam } = useMyTeam();
+
+  // Managers with a saved team land on it when the app is opened without a link
+  const landed = useRef(false);
+  useEffect(() => {
+    if (landed.current) return;
+    landed.current = true;
+    if (!window.location.hash && myTeam) navigate({ view: "team", leagueId: myTeam.leagueId }, { replace: true });
+  }, [myTeam, navigate]);
+
+  const [leagueInput, setLeagueInput] = useState(leagueId || "");
+  useEffect(() => {
+    if (leagueId) setLeagueInput(leagueId);
+  }, [leagueId]);
+  const nfl = useNflData();
+  const { state, players } = nfl;
+
+  const currentWeek = state ? currentWeekOf(state) : null;
+  // The dashboard always summarises the current week
+  const week = view === "dashboard" ? currentWeek : selectedWeek || currentWeek;
+  const leagueData = useSleeper(view !== "dashboard" ? leagueId : null, week);
+  const { users, rosters, matchups, league } = leagueData;
+  const loading = nfl.loading || (view !== "dashboard" && leagueData.loading);
+  const errors = [nfl.error, view !== "dashboard" && leagueData.error];
+
+  // Remember each league once its details have loaded
+  useEffect(() => {
+    if (league?.league_id === leagueId) remember(league);
+  }, [league, leagueId, remember]);
+
+  // Keep the last evaluation loaded online for use without a connection
+  const online = !nfl.offlineAt && !leagueData.offlineAt && !leagueData.loading && !leagueData.error;
+  useEffect(() => {
+    if (!online || !state || league?.league_id !== leagueId || !week || !matchups.length) return;
+    saveSnapshot({ state, leagueId, week, league, users, rosters, matchups });
+  }, [online, state, leagueId, week, league, users, rosters, matchups]);
 
-  const week = state?.display_week || state?.week || state?.leg;
+  const playoffWeekStart = Number(league?.settings?.playoff_week_start) || null;
   const seasonType = state?.season_type || "regular";
   const isPreseason = seasonType === "pre";
   
-  // Season type detection for preseason vs regular season
-  const byeTeamsThisWeek = useMemo(() => new Set((BYE_MAP_2025[Number(week)] || [])), [week]);
-
-  const userById = useMemo(() => new Map(users.map((u) => [u.user_id, u])), [users]);
-  const rosterById = useMemo(() => new Map(rosters.map((r) => [r.roster_id, r])), [rosters]);
-
-  const teams = useMemo(() => {
-    if (!players) return [];
-    const out = [];
-
-    for (const m of matchups) {
-      const roster = rosterById.get(m.roster_id);
-      const owner = userById.get(roster?.owner_id);
-      const starters = (m.starters || []);
-      
-      // Check for empty slots in the lineup - be more thorough about what constitutes "empty"
-      // Sleeper uses "0" as a string to represent empty slots
-      const hasEmptySlots = starters.some(pid => !pid || pid === "" || pid === null || pid === undefined || pid === "0");
-      
-      let status = hasEmptySlots ? "INCOMPLETE" : "OK";
-      const flagged = [];
-      
-      // Add empty slots to flagged list
-      if (hasEmptySlots) {
-        flagged.push({ pid: "empty", name: "Empty Slot", reason: "Empty Slot" });
-      }
-      
-      // Only continue checking other players if we don't already have empty slots
-      if (!hasEmptySlots) {
-        const nonEmptyStarters = starters.filter(Boolean);
-        
-        for (const pid of nonEmptyStarters) {
-          // Handle D/ST (team codes) separately for BYE detection
-          if (isDSTStarterId(pid)) {
-            if (byeTeamsThisWeek.has(pid)) {
-              status = "INCOMPLETE";
-              flagged.push({ pid, name: `${pid} D/ST`, reason: "BYE" });
-              break; // one OUT is enough
-            }
-            continue;
-          }
-
-          const p = players[pid];
-          if (!p) continue;
-
-          // Treat BYE as OUT when player's NFL team is on bye this week
-          const team = p.team; // e.g., "KC"
-          if (team && byeTeamsThisWeek.has(team)) {
-            status = "INCOMPLETE";
-            flagged.push({ pid, name: `${p.first_name || ""} ${p.last_name || ""}`.trim(), reason: "BYE" });
-            break;
-          }
-
-          // Explicitly check for PUP status
-          const isPUP = (p.injury_status || "").toLowerCase() === "pup" || 
-                        (p.status || "").toLowerCase() === "pup";
-          
-          if (isPUP) {
-            status = "INCOMPLETE";
-            flagged.push({ pid, name: `${p.first_name || ""} ${p.last_name || ""}`.trim(), reason: "PUP" });
-            break;
-          }
-          
-          const bucket = classifyInjury(p);
-          if (bucket === "INCOMPLETE") {
-            status = "INCOMPLETE";
-            flagged.push({ pid, name: `${p.first_name || ""} ${p.last_name || ""}`.trim(), reason: (p.injury_status || p.status || "Out").toString() });
-            break;
-          } else if (bucket === "POTENTIAL" && status !== "INCOMPLETE") {
-            status = "POTENTIAL";
-            flagged.push({ pid, name: `${p.first_name || ""} ${p.last_name || ""}`.trim(), reason: p.injury_status || "Questionable" });
-          }
+  const season = state?.season;
+  const byes = useByeWeeks(season);
+  const byeTeamsThisWeek = useMemo(() => byeTeamsForWeek(byes.table, week), [byes.table, week]);
+
+  const { rules, isCustom: hasCustomRules, setRule, resetRules } = useStatusRules(leagueId);
+
+  // Kickoff locks only apply to the current and upcoming weeks; past weeks are
+  // reviewed as if every slot were still open so disputes can be settled
+  const schedule = useSchedule(season);
+  const lockAware = Boolean(schedule.table && week && currentWeek && week >= currentWeek);
+  const now = useNow(60 * 1000);
+  const games = useMemo(
+    () => (lockAware ? gamesForWeek(schedule.table, week, now) : null),
+    [lockAware, schedule.table, week, now]
+  );
+
+  // Sleeper records the last week it finished scoring; fall back to the week before the current one
+  const lastCompletedWeek = Number(league?.settings?.last_scored_leg ?? (currentWeek ? currentWeek - 1 : 0)) || 0;
+  const scored = Boolean(week && week <= lastCompletedWeek);
+
+  // The league loaded fine but Sleeper has no matchups for this week
+  const emptyWeek =
+    ["league", "exposure"].includes(view) && league && !leagueData.loading && !leagueData.error && week && !matchups.length
+      ? {
+          title: `No matchups for week ${week}`,
+          hint:
+            seasonType === "off"
+              ? "It's the NFL offseason. Pick a week from last season's schedule or come back in September."
+              : isPreseason
+              ? "It's the preseason. Sleeper posts matchups once the regular season starts."
+              : playoffWeekStart && week >= playoffWeekStart
+              ? "The league's playoffs may be over, or no teams are playing this week."
+              : "Sleeper hasn't published matchups for this week yet.",
         }
-      }
+      : null;
 
-      out.push({
-        roster_id: m.roster_id,
-        name: displayTeamName(owner),
-        avatar: avatarUrl(owner?.avatar || null, "thumbs"),
-        status,
-        flagged,
-        matchup_id: m.matchup_id,
-      });
-    }
+  const teams = useMemo(
+    () => buildTeams({ matchups, rosters, users, league, players, byeSet: byeTeamsThisWeek, rules, games, scored }),
+    [matchups, rosters, users, league, players, byeTeamsThisWeek, rules, games, scored]
+  );
 
-    return out;
-  }, [matchups, players, rosterById, userById, byeTeamsThisWeek]);
+  const grouped = useMemo(() => groupTeams(teams), [teams]);
+  const myUserId = myTeam?.leagueId === leagueId ? myTeam.userId : null;
+  const mine = useMemo(() => teamForUser(teams, rosters, myUserId), [teams, rosters, myUserId]);
+  const opponent = useMemo(() => opponentOf(teams, mine), [teams, mine]);
+  const compliance = useMemo(
+    () => buildCompliance({ rosters, users, league, players }),
+    [rosters, users, league, players]
+  );
 
-  const grouped = useMemo(() => {
-    const g = { OK: [], POTENTIAL: [], INCOMPLETE: [] };
-    for (const t of teams) g[t.status].push(t);
-    return g;
-  }, [teams]);
-  
-  // Find the matchup for a specific team
-  const getMatchupForTeam = useCallback((team) => {
-    if (!team || !matchups) return null;
-    return matchups.find(m => m.roster_id === team.roster_id);
-  }, [matchups]);
+  // Game-day polling: re-pull matchups and injury designations on an interval
+  const [refreshSettings, updateRefreshSettings] = useAutoRefreshSettings();
+  const [lastChecked, setLastChecked] = useState(null);
+  const { refreshMatchups } = leagueData;
+  const { pollPlayers } = nfl;
+
+  // The evaluation on screen, so a poll can compare against what it started from
+  const evaluated = useRef({ key: null, teams: [] });
+  useEffect(() => {
+    evaluated.current = { key: `${leagueId}:${week}`, teams };
+  }, [leagueId, week, teams]);
+
+  const [polled, setPolled] = useState(null);
+  useEffect(() => {
+    if (!["league", "team", "exposure"].includes(view) || !refreshSettings.pollMinutes) return;
+    let active = true;
+    const pollMs = refreshSettings.pollMinutes * 60 * 1000;
+    const id = setInterval(async () => {
+      const before = evaluated.current;
+      // Half the interval as the cache floor: every tick picks up new injury
+      // designations unless "Refresh injuries" was just used
+      await Promise.all([refreshMatchups(), pollPlayers(pollMs / 2)]);
+      if (!active) return;
+      setLastChecked(Date.now());
+      setPolled(before);
+    }, pollMs);
+    return () => {
+      active = false;
+      clearInterval(id);
+    };
+  }, [view, refreshSettings.pollMinutes, refreshMatchups, pollPlayers]);
+
+  // Diff only what a finished poll brought in (see pollChanges)
+  const [changes, setChanges] = useState([]);
+  useEffect(() => {
+    if (!polled) return;
+    setPolled(null);
+    // On the My Team page only the manager's own team raises alerts
+    const found = pollChanges(polled, { key: `${leagueId}:${week}`, teams }, view === "team" ? mine?.roster_id : null);
+    if (!found.length) return;
+    const at = Date.now();
+    setChanges((list) => [...found.map((c, i) => ({ ...c, at, id: `${at}-${i}` })), ...list].slice(0, 50));
+    if (refreshSettings.notify) showChangeNotifications(found);
+  }, [polled, teams, leagueId, week, refreshSettings.notify, view, mine]);
+
+  // The open team is tracked by roster so the modal follows the selected week
+  const selectedTeam = useMemo(
+    () => teams.find((t) => t.roster_id === selectedRosterId) || null,
+    [teams, selectedRosterId]
+  );
   
   // Handle team click
   const handleTeamClick = useCallback((team) => {
-    const matchup = getMatchupForTeam(team);
-    setSelectedTeam(team);
-    setSelectedMatchup(matchup);
-  }, [getMatchupForTeam]);
+    navigate({ team: team.roster_id });
+  }, [navigate]);
   
   // Close modal
   const handleCloseModal = useCallback(() => {
-    setSelectedTeam(null);
-    setSelectedMatchup(null);
-  }, []);
+    navigate({ team: null });
+  }, [navigate]);
+
+  const openLeague = useCallback((id) => {
+    if (id) navigate({ view: "league", leagueId: id, team: null });
+  }, [navigate]);
+
+  const toggleStatus = useCallback((status) => {
+    const next = show.includes(status) ? show.filter((s) => s !== status) : [...show, status];
+    navigate({ show: STATUSES.filter((s) => next.includes(s)) }, { replace: true });
+  }, [show, navigate]);
+
+  const isSaved = saved.leagueIds.includes(leagueId);
 
   return (
     <div className="min-h-screen bg-gradient-to-b from-gray-50 to-white text-gray-900 p-4 md:p-8">
@@ -467,55 +559,288 @@ function LineupCompletenessChecker() {
           <div>
             <h1 className="text-2xl md:text-3xl font-bold tracking-tight">Sleeper Lineup Completeness Checker</h1>
             <p className="text-sm text-gray-600 mt-1">
-              {isPreseason ? "Preseason " : ""}Week {week ?? "-"} • League: {leagueId}
+              {isPreseason && !selectedWeek ? "Preseason " : ""}Week {week ?? "-"} •{" "}
+              {view === "dashboard" ? `${saved.leagueIds.length} saved leagues` : `League: ${league?.name || leagueId}`}
             </p>
           </div>
-          <div className="flex items-center gap-2">
+          <div className="flex flex-wrap items-center gap-2">
+            <div className="flex rounded-xl border border-gray-300 bg-white shadow-sm overflow-hidden text-sm">
+              {[
+                ["dashboard", "Dashboard"],
+                ["league", "League"],
+                ["history", "History"],
+                ["team", "My Team"],
+                ["exposure", "Exposure"],
+                ["byes", "Bye planner"],
+              ].map(([key, label]) => (
+                <button
+                  key={key}
+                  className={`px-3 py-2 font-medium ${view === key ? "bg-gray-900 text-white" : "text-gray-700 hover:bg-gray-50"}`}
+                  onClick={() =>
+                    key === "dashboard"
+                      ? navigate({ view: "dashboard" })
+                      : view !== key &&
+                        navigate({
+                          view: key,
+                          leagueId:
+                            (key === "team" && myTeam?.leagueId) || leagueId || recent[0]?.league_id || DEFAULT_LEAGUE_ID,
+                          team: null,
+                        })
+                  }
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {view !== "dashboard" && (
+              <>
+                <button
+                  className="px-3 py-2 rounded-xl border border-gray-300 bg-white shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50"
+                  onClick={() => (isSaved ? saved.removeLeague(leagueId) : saved.addLeague(leagueId))}
+                  title={isSaved ? "Remove from dashboard" : "Save to dashboard"}
+                >
+                  {isSaved ? "★ Saved" : "☆ Save"}
+                </button>
+              </>
+            )}
+            {["league", "exposure"].includes(view) && (
+              <>
+                <select
+                  className="px-3 py-2 rounded-xl border border-gray-300 bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                  value={selectedWeek ?? ""}
+                  onChange={(e) => navigate({ week: e.target.value ? Number(e.target.value) : null })}
+                >
+                  <option value="">Current week{currentWeek ? ` (${currentWeek})` : ""}</option>
+                  {Array.from({ length: MAX_WEEK }, (_, i) => i + 1).map((w) => (
+                    <option key={w} value={w}>
+                      Week {w}
+                      {playoffWeekStart && w >= playoffWeekStart ? " · Playoffs" : ""}
+                      {w === currentWeek ? " · Current" : ""}
+                    </option>
+                  ))}
+                </select>
+                {view === "league" && (
+                  <ExportMenu teams={teams} meta={{ leagueId, leagueName: league?.name, season, week }} />
+                )}
+              </>
+            )}
             <input
               className="px-4 py-2 rounded-xl border border-gray-300 bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm w-64"
               placeholder="Enter League ID"
-              defaultValue={DEFAULT_LEAGUE_ID}
+              value={leagueInput}
+              onChange={(e) => setLeagueInput(e.target.value)}
               onKeyDown={(e) => {
                 if (e.key === "Enter") {
-                  setLeagueId(e.target.value.trim());
+                  openLeague(leagueInput.trim());
                 }
               }}
             />
             <button
               className="px-4 py-2 rounded-xl bg-blue-600 text-white text-sm font-medium shadow-sm hover:bg-blue-500 active:bg-blue-700"
-              onClick={() => {
-                const el = document.querySelector("input[placeholder='Enter League ID']");
-                if (el?.value) setLeagueId(el.value.trim());
-              }}
+              onClick={() => openLeague(leagueInput.trim())}
             >
               Load
             </button>
           </div>
         </header>
 
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-          <Section title="Complete" items={grouped.OK} tone="OK" onTeamClick={handleTeamClick} />
-          <Section title="Potential to be Incomplete" items={grouped.POTENTIAL} tone="POTENTIAL" onTeamClick={handleTeamClick} />
-          <Section title="Incomplete" items={grouped.INCOMPLETE} tone="INCOMPLETE" onTeamClick={handleTeamClick} />
-        </div>
-        
-        {selectedTeam && selectedMatchup && (
-          <TeamLineupModal 
-            team={selectedTeam} 
-            matchup={selectedMatchup} 
+        {view !== "dashboard" && (
+          <MyTeamBanner team={mine} onOpen={view !== "team" ? () => navigate({ view: "team", team: null }) : null} />
+        )}
+
+        <LeaguePicker season={season} recent={recent} onPick={openLeague} />
+
+        <LoadNotices
+          errors={errors}
+          warnings={view !== "dashboard" ? leagueData.warnings : []}
+          empty={emptyWeek}
+          offlineAt={view !== "dashboard" ? leagueData.offlineAt || nfl.offlineAt : nfl.offlineAt}
+          onRetry={() => {
+            if (nfl.error) nfl.reload();
+            leagueData.reload();
+          }}
+        />
+
+        {season && !byes.table && (
+          <div className="rounded-xl px-4 py-3 bg-amber-50 border border-amber-200 text-sm text-amber-800">
+            No bye-week table for the {season} season — players on bye will not be flagged. Paste or upload one in
+            the Bye weeks panel below.
+          </div>
+        )}
+
+        {view === "dashboard" ? (
+          <LeagueDashboard
+            leagueIds={saved.leagueIds}
+            week={week}
+            players={players}
+            byeSet={byeTeamsThisWeek}
+            games={games}
+            onOpen={openLeague}
+            onAdd={saved.addLeague}
+            onRemove={saved.removeLeague}
+          />
+        ) : view === "team" ? (
+          <MyTeamView
+            week={week}
+            users={users}
+            rosters={rosters}
+            team={mine}
+            opponent={opponent}
             players={players}
-            byeTeamsThisWeek={byeTeamsThisWeek}
+            userId={myUserId}
+            loading={leagueData.loading || (!players && nfl.loading)}
+            onPick={(userId) => setMyTeam(leagueId, userId)}
+            onClear={clearMyTeam}
+          />
+        ) : view === "exposure" ? (
+          <ExposureView
+            teams={teams}
+            week={week}
+            leagueId={leagueId}
+            leagueName={league?.name}
+            onTeamClick={(team) => navigate({ view: "league", team: team.roster_id })}
+          />
+        ) : view === "byes" ? (
+          <ByePlannerView
+            rosters={rosters}
+            users={users}
             league={league}
-            onClose={handleCloseModal} 
+            players={players}
+            byeTable={byes.table}
+            fromWeek={isPreseason ? 1 : currentWeek}
+            lastWeek={MAX_WEEK}
+            season={season}
           />
+        ) : view === "history" ? (
+          <HistoryView
+            leagueId={leagueId}
+            league={league}
+            rosters={rosters}
+            users={users}
+            players={players}
+            byeTable={byes.table}
+            rules={rules}
+            lastCompletedWeek={lastCompletedWeek}
+          />
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <div className="flex rounded-xl border border-gray-300 bg-white shadow-sm overflow-hidden text-xs mr-2">
+                {[
+                  ["status", "By status"],
+                  ["matchups", "Matchups"],
+                ].map(([key, label]) => (
+                  <button
+                    key={key}
+                    className={`px-3 py-1.5 font-medium ${layout === key ? "bg-gray-900 text-white" : "text-gray-700 hover:bg-gray-50"}`}
+                    onClick={() => navigate({ layout: key }, { replace: true })}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              {layout === "status" && (
+                <>
+                  <span className="text-gray-500">Show:</span>
+                  {STATUSES.map((status) => (
+                    <button
+                      key={status}
+                      className={`flex items-center gap-2 px-3 py-1 rounded-full border text-xs font-medium ${
+                        show.includes(status) ? LIGHT[status] : "border-gray-200 text-gray-400"
+                      }`}
+                      onClick={() => toggleStatus(status)}
+                    >
+                      <span className={`h-2.5 w-2.5 rounded-full ${show.includes(status) ? DOT[status] : "bg-gray-300"}`} />
+                      {SECTION_TITLE[status]} ({grouped[status].length})
+                    </button>
+                  ))}
+                </>
+              )}
+            </div>
+
+            {layout === "matchups" ? (
+              <MatchupGrid teams={teams} onTeamClick={handleTeamClick} />
+            ) : (
+              <div className={`grid grid-cols-1 ${GRID_COLS[show.length] || ""} gap-6`}>
+                {show.map((status) => (
+                  <Section
+                    key={status}
+                    title={SECTION_TITLE[status]}
+                    items={grouped[status]}
+                    tone={status}
+                    onTeamClick={handleTeamClick}
+                  />
+                ))}
+              </div>
+            )}
+
+            <RosterCompliancePanel teams={compliance} />
+            
+            {selectedTeam && (
+              <TeamLineupModal 
+                team={selectedTeam} 
+                players={players}
+                onClose={handleCloseModal} 
+              />
+            )}
+
+            <ChangesFeed
+              settings={refreshSettings}
+              onSettingsChange={updateRefreshSettings}
+              changes={changes}
+              onClear={() => setChanges([])}
+              lastChecked={lastChecked}
+            />
+
+            <RulesPanel
+              leagueId={leagueId}
+              rules={rules}
+              isCustom={hasCustomRules}
+              onChange={setRule}
+              onReset={resetRules}
+            />
+          </>
         )}
 
+        <ByeWeekPanel
+          season={season}
+          table={byes.table}
+          source={byes.source}
+          onSave={byes.saveOverride}
+          onClear={byes.clearOverride}
+        />
+
+        <SchedulePanel
+          season={season}
+          week={week}
+          table={schedule.table}
+          source={schedule.source}
+          games={games}
+          onSave={schedule.saveOverride}
+          onClear={schedule.clearOverride}
+        />
+
         <footer className="text-xs text-gray-500 pt-4 border-t border-gray-100">
           <p>
-            Injury data and rosters via Sleeper public API. Team BYEs for 2025 are hardcoded
-            and treated as OUT. Update BYE_MAP_2025 as needed each season.
+            Injury data and rosters via Sleeper public API. Team BYEs come from the {season || "season"} bye table
+            and are treated as OUT.
+          </p>
+          <p className="mt-1">
+            Tip: Click in the League ID box and press Enter to reload with a different league. The address bar links
+            straight to the current league, week and open team.
           </p>
-          <p className="mt-1">Tip: Click in the League ID box and press Enter to reload with a different league.</p>
+          {nfl.playersFetchedAt && (
+            <p className="mt-1 flex items-center gap-2">
+              Player and injury data cached {formatAge(nfl.playersFetchedAt, now)}.
+              <button
+                className="underline hover:text-gray-700 disabled:opacity-50"
+                onClick={nfl.refreshPlayers}
+                disabled={nfl.loading}
+              >
+                Refresh injuries
+              </button>
+            </p>
+          )}
         </footer>
 
         {loading && (
@@ -523,11 +848,6 @@ function LineupCompletenessChecker() {
             Loading…
           </div>
         )}
-        {error && (
-          <div className="fixed bottom-4 right-4 px-3 py-2 rounded-xl bg-rose-600 text-white text-xs shadow-lg">
-            {error}
-          </div>
-        )}
       </div>
     </div>
   );
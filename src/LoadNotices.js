@@ -0,0 +1,85 @@
+import React from "react";
+import { ERROR_KIND } from "./sleeperApi";
+import { formatAge } from "./playerCache";
+
+// What to tell the user for each SleeperApiError kind (see sleeperApi.js)
+const HINT = {
+  [ERROR_KIND.NOT_FOUND]: "Check the League ID, or look up your leagues by Sleeper username above.",
+  [ERROR_KIND.UNAVAILABLE]: "Anything that did load is shown below. Try again in a few minutes.",
+  [ERROR_KIND.RATE_LIMITED]: "Too many requests in a short time. Wait a minute before trying again.",
+  [ERROR_KIND.INVALID]: "Sleeper sent something the checker doesn't understand. Try again later.",
+};
+
+const TONE = {
+  error: "bg-rose-50 border-rose-200 text-rose-800",
+  warning: "bg-amber-50 border-amber-200 text-amber-800",
+  info: "bg-gray-50 border-gray-200 text-gray-700",
+};
+
+function Notice({ tone, title, hint, onRetry }) {
+  return (
+    <div className={`rounded-xl px-4 py-3 border text-sm flex flex-wrap items-start justify-between gap-3 ${TONE[tone]}`}>
+      <div>
+        <div className="font-medium">{title}</div>
+        {hint && <div className="text-xs mt-0.5 opacity-90">{hint}</div>}
+      </div>
+      {onRetry && (
+        <button
+          className="shrink-0 px-3 py-1 rounded-lg bg-white/70 border border-current text-xs font-medium hover:bg-white"
+          onClick={onRetry}
+        >
+          Try again
+        </button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * In-page messages for failed or empty Sleeper loads. `errors` block part of
+ * the page, `warnings` are partial failures (e.g., users didn't load) and
+ * `empty` explains a week without matchups. `offlineAt` is the time of the
+ * saved snapshot shown while Sleeper can't be reached.
+ */
+function LoadNotices({ errors = [], warnings = [], empty = null, offlineAt = null, onRetry }) {
+  const shown = errors.filter(Boolean);
+  if (!shown.length && !warnings.length && !empty && !offlineAt) return null;
+
+  return (
+    <div className="space-y-2">
+      {offlineAt && (
+        <Notice
+          tone="warning"
+          title={`Offline — showing data as of ${new Date(offlineAt).toLocaleString([], {
+            weekday: "short",
+            hour: "numeric",
+            minute: "2-digit",
+          })} (${formatAge(offlineAt)})`}
+          hint="Injury designations and lineups may have changed since. Reconnect to load live data."
+          onRetry={onRetry}
+        />
+      )}
+      {shown.map((e, i) => (
+        <Notice
+          key={`error-${i}`}
+          tone="error"
+          title={e.message || "Failed to load data"}
+          hint={HINT[e.kind]}
+          onRetry={e.transient || e.kind === ERROR_KIND.INVALID ? onRetry : null}
+        />
+      ))}
+      {warnings.map((e, i) => (
+        <Notice
+          key={`warning-${i}`}
+          tone="warning"
+          title={`Part of the league didn't load: ${e.message}`}
+          hint="Team names or bench suggestions may be missing."
+          onRetry={onRetry}
+        />
+      ))}
+      {empty && <Notice tone="info" title={empty.title} hint={empty.hint} />}
+    </div>
+  );
+}
+
+export default LoadNotices;
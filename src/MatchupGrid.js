@@ -0,0 +1,65 @@
+import React from "react";
+import { pairMatchups, isMismatch } from "./evaluateLeague";
+import { STATUS_LABEL } from "./diffTeams";
+import { DOT } from "./statusTheme";
+
+function MatchupSide({ team, onTeamClick, align }) {
+  return (
+    <button
+      className={`flex-1 min-w-0 flex items-center gap-3 p-3 rounded-xl hover:bg-gray-50 ${align === "right" ? "flex-row-reverse text-right" : "text-left"}`}
+      onClick={() => onTeamClick(team)}
+    >
+      {team.avatar ? (
+        <img src={team.avatar} alt="avatar" className="h-10 w-10 rounded-full border border-gray-200 shadow-sm" />
+      ) : (
+        <div className="h-10 w-10 rounded-full bg-gray-200" />
+      )}
+      <span className="min-w-0">
+        <span className="block font-medium text-gray-900 truncate">{team.name}</span>
+        <span className={`flex items-center gap-1.5 text-xs text-gray-600 ${align === "right" ? "justify-end" : ""}`}>
+          <span className={`h-2.5 w-2.5 rounded-full ${DOT[team.status]}`} />
+          {STATUS_LABEL[team.status]}
+          {team.flagged.length ? ` · ${team.flagged.length} ${team.flagged.length === 1 ? "issue" : "issues"}` : ""}
+        </span>
+      </span>
+    </button>
+  );
+}
+
+function MatchupGrid({ teams, onTeamClick }) {
+  // Incomplete-vs-complete games first
+  const pairs = pairMatchups(teams).sort((a, b) => isMismatch(b) - isMismatch(a));
+
+  if (!pairs.length) return <p className="text-sm text-gray-600">No matchups this week.</p>;
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      {pairs.map((pair) => {
+        const mismatch = isMismatch(pair);
+        const [home, away] = pair.teams;
+        return (
+          <div
+            key={pair.matchup_id ?? `bye-${home.roster_id}`}
+            className={`rounded-2xl bg-white shadow-sm border ${mismatch ? "border-rose-300 ring-2 ring-rose-200" : "border-gray-200"}`}
+          >
+            <div className="flex items-center justify-between px-4 pt-3 text-xs text-gray-500">
+              <span>{pair.matchup_id != null ? `Matchup ${pair.matchup_id}` : "No opponent"}</span>
+              {mismatch && <span className="font-medium text-rose-600">Incomplete vs complete</span>}
+            </div>
+            <div className="flex items-center gap-2 p-2">
+              <MatchupSide team={home} onTeamClick={onTeamClick} />
+              <span className="text-xs font-semibold text-gray-400">vs</span>
+              {away ? (
+                <MatchupSide team={away} onTeamClick={onTeamClick} align="right" />
+              ) : (
+                <span className="flex-1 text-right pr-3 text-sm text-gray-400">—</span>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default MatchupGrid;
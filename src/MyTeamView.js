@@ -0,0 +1,170 @@
+import React from "react";
+import TeamLineup, { PointsLostSummary } from "./TeamLineup";
+import { STATUS_LABEL, describeFlag } from "./diffTeams";
+import { displayTeamName } from "./sleeperApi";
+import { LIGHT, DOT, TEXT } from "./statusTheme";
+
+function TeamHeader({ team, caption }) {
+  return (
+    <div className="flex items-center gap-3">
+      {team.avatar ? (
+        <img src={team.avatar} alt="avatar" className="h-12 w-12 rounded-full border border-gray-200 shadow-sm" />
+      ) : (
+        <div className="h-12 w-12 rounded-full bg-gray-200" />
+      )}
+      <div className="min-w-0">
+        <div className="text-xs text-gray-500">{caption}</div>
+        <h3 className="text-lg font-bold text-gray-900 truncate">{team.name}</h3>
+      </div>
+      <span className={`ml-auto shrink-0 flex items-center gap-1.5 text-sm font-medium ${TEXT[team.status]}`}>
+        <span className={`h-3 w-3 rounded-full ${DOT[team.status]}`} />
+        {STATUS_LABEL[team.status]}
+      </span>
+    </div>
+  );
+}
+
+// Managers who own a roster in this league, for the "which team is yours?" picker
+function managers(users, rosters) {
+  const owners = new Set((rosters || []).flatMap((r) => [r.owner_id, ...(r.co_owners || [])]));
+  return (users || [])
+    .filter((u) => owners.has(u.user_id))
+    .map((u) => ({ userId: u.user_id, label: `${displayTeamName(u)}${u.display_name ? ` (${u.display_name})` : ""}` }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+// Shown above every league page while the saved team's lineup needs attention
+export function MyTeamBanner({ team, onOpen }) {
+  if (!team || team.status === "OK") return null;
+  const tone = team.status === "INCOMPLETE" ? "bg-rose-600" : "bg-amber-500";
+  return (
+    <div className={`sticky top-0 z-40 rounded-xl px-4 py-3 text-sm text-white shadow-lg ${tone}`}>
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <span>
+          <span className="font-semibold">Your lineup is {STATUS_LABEL[team.status]}:</span>{" "}
+          {team.flagged.map(describeFlag).join(", ")}
+        </span>
+        {onOpen && (
+          <button className="shrink-0 px-3 py-1 rounded-lg bg-white/20 hover:bg-white/30 text-xs font-medium" onClick={onOpen}>
+            Open My Team
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Focused page for one manager: their lineup with suggested fixes, and their
+ * opponent's status for the same matchup_id. The choice of team is saved in
+ * local storage (see myTeam.js).
+ */
+function MyTeamView({ week, users, rosters, team, opponent, players, userId, loading, onPick, onClear }) {
+  const options = managers(users, rosters);
+  const hasRoster = options.some((o) => o.userId === userId);
+
+  // League, matchups or the players dictionary still on their way: a saved team can't be matched yet
+  if (userId && loading) {
+    return (
+      <div className="rounded-2xl p-6 bg-white border border-gray-200 shadow-sm">
+        <p className="text-sm text-gray-500 animate-pulse">Loading your team…</p>
+      </div>
+    );
+  }
+
+  // The rosters request failed (see LoadNotices), so there is nothing to match against
+  if (userId && !rosters?.length) {
+    return (
+      <div className="rounded-2xl p-6 bg-white border border-gray-200 shadow-sm">
+        <p className="text-sm text-gray-600">This league's rosters didn't load, so your team can't be shown yet.</p>
+      </div>
+    );
+  }
+
+  if (userId && !team && hasRoster) {
+    return (
+      <div className="rounded-2xl p-6 bg-white border border-gray-200 shadow-sm space-y-3">
+        <h3 className="font-semibold text-gray-900">No lineup to check for week {week ?? "-"}</h3>
+        <p className="text-sm text-gray-600">Sleeper has no matchup for your team this week.</p>
+        <button className="text-xs text-gray-600 underline hover:text-gray-900" onClick={onClear}>
+          Not your team? Choose another
+        </button>
+      </div>
+    );
+  }
+
+  if (!userId || !team) {
+    return (
+      <div className="rounded-2xl p-6 bg-white border border-gray-200 shadow-sm space-y-3">
+        <h3 className="font-semibold text-gray-900">Which team is yours?</h3>
+        <p className="text-sm text-gray-600">
+          {userId
+            ? "Your saved team isn't in this league. Pick your team here or open your league from the picker above."
+            : "Pick your team to get a focused page and an alert whenever your lineup needs attention."}
+        </p>
+        <select
+          className="px-3 py-2 rounded-xl border border-gray-300 bg-white shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+          value=""
+          onChange={(e) => e.target.value && onPick(e.target.value)}
+          disabled={!options.length}
+        >
+          <option value="">{options.length ? "Select a manager…" : "Loading managers…"}</option>
+          {options.map((o) => (
+            <option key={o.userId} value={o.userId}>
+              {o.label}
+            </option>
+          ))}
+        </select>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div className={`lg:col-span-2 rounded-2xl p-6 shadow-sm space-y-4 ${LIGHT[team.status]}`}>
+        <TeamHeader team={team} caption={`Your team · Week ${week ?? "-"}`} />
+        {team.flagged.length ? (
+          <ul className="text-sm text-gray-800 space-y-1">
+            {team.flagged.map((f) => (
+              <li key={f.index}>• {describeFlag(f)}</li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-700">Your lineup is set — every starter is eligible.</p>
+        )}
+        {team.pointsLost && (
+          <p className="text-sm">
+            <PointsLostSummary team={team} />
+          </p>
+        )}
+        <div className="rounded-xl bg-white p-3">
+          <TeamLineup team={team} players={players} />
+        </div>
+        <button className="text-xs text-gray-600 underline hover:text-gray-900" onClick={onClear}>
+          Not your team? Choose another
+        </button>
+      </div>
+
+      <div className="rounded-2xl p-6 bg-white border border-gray-200 shadow-sm space-y-4 self-start">
+        {opponent ? (
+          <>
+            <TeamHeader team={opponent} caption="Opponent" />
+            {opponent.flagged.length ? (
+              <ul className="text-xs text-gray-700 space-y-1">
+                {opponent.flagged.map((f) => (
+                  <li key={f.index}>• {describeFlag(f)}</li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-sm text-gray-600">Their lineup is complete.</p>
+            )}
+          </>
+        ) : (
+          <p className="text-sm text-gray-600">No opponent this week.</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MyTeamView;
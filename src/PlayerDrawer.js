@@ -0,0 +1,70 @@
+import React, { useEffect, useState } from "react";
+import { playerDetails } from "./playerDetails";
+
+// Slide-over with the /players/nfl details for one player, above the lineup modal
+function PlayerDrawer({ pid, players, onClose }) {
+  const details = playerDetails(pid, players);
+  const [imageFailed, setImageFailed] = useState(false);
+
+  useEffect(() => {
+    setImageFailed(false);
+  }, [pid]);
+
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  if (!details) return null;
+
+  return (
+    <div className="fixed inset-0 z-[60] flex justify-end bg-black bg-opacity-30" onClick={onClose}>
+      <aside
+        className="h-full w-full max-w-sm bg-white shadow-xl overflow-y-auto p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between gap-3">
+          <div className="flex items-center gap-3">
+            {details.headshot && !imageFailed ? (
+              <img
+                src={details.headshot}
+                alt={details.name}
+                className="h-16 w-16 rounded-full object-cover bg-gray-100 border border-gray-200"
+                onError={() => setImageFailed(true)}
+              />
+            ) : (
+              <div className="h-16 w-16 rounded-full bg-gray-200" />
+            )}
+            <div>
+              <h2 className="text-lg font-bold text-gray-900">{details.name}</h2>
+              <p className="text-sm text-gray-500">
+                {details.position}
+                {details.number != null ? ` · #${details.number}` : ""}
+              </p>
+            </div>
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 focus:outline-none" aria-label="Close">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <dl className="mt-6 space-y-3 text-sm">
+          {details.rows.map(([label, value]) => (
+            <div key={label}>
+              <dt className="text-xs font-medium text-gray-500">{label}</dt>
+              <dd className="text-gray-900">{value}</dd>
+            </div>
+          ))}
+        </dl>
+        {!details.injuryStatus && (
+          <p className="mt-6 text-xs text-gray-500">No injury designation on Sleeper.</p>
+        )}
+      </aside>
+    </div>
+  );
+}
+
+export default PlayerDrawer;
@@ -0,0 +1,53 @@
+import React from "react";
+
+const KIND_LABEL = { IR: "IR", TAXI: "Taxi", ROSTER: "Roster" };
+
+function RosterCompliancePanel({ teams }) {
+  const flagged = teams.filter((t) => t.issues.length);
+
+  return (
+    <div className="rounded-2xl p-6 bg-white border border-gray-200 shadow-sm">
+      <div className="flex items-center gap-2 mb-4">
+        <div className={`h-4 w-4 rounded-full ${flagged.length ? "bg-rose-500" : "bg-emerald-500"}`} />
+        <h3 className="font-semibold text-gray-900">
+          Roster Compliance <span className="text-gray-500 font-normal">({flagged.length})</span>
+        </h3>
+      </div>
+      {flagged.length === 0 ? (
+        <p className="text-sm text-gray-600">
+          {teams.length ? "Every roster follows the league's IR, taxi and roster-size rules." : "No rosters loaded."}
+        </p>
+      ) : (
+        <ul className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {flagged.map((t) => (
+            <li key={t.roster_id} className="flex items-start gap-3">
+              {t.avatar ? (
+                <img src={t.avatar} alt="avatar" className="h-8 w-8 rounded-full border border-gray-200 shadow-sm" />
+              ) : (
+                <div className="h-8 w-8 rounded-full bg-gray-200" />
+              )}
+              <div className="min-w-0 flex-1">
+                <div className="font-medium text-gray-900 truncate">{t.name}</div>
+                <ul className="mt-1 text-xs text-gray-700 space-y-1">
+                  {t.issues.map((issue, i) => (
+                    <li key={`${issue.kind}:${issue.pid || i}`} className="flex items-start">
+                      <span className="mr-1.5">•</span>
+                      <span>
+                        <span className="font-medium text-gray-500">{KIND_LABEL[issue.kind]}</span> {issue.message}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      <p className="mt-4 text-xs text-gray-500">
+        Limits come from the league settings on Sleeper (IR-eligible statuses, IR and taxi slots, taxi years).
+      </p>
+    </div>
+  );
+}
+
+export default RosterCompliancePanel;
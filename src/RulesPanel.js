@@ -0,0 +1,54 @@
+import React from "react";
+import { STATUS_OPTIONS } from "./evaluateLineup";
+
+const BUCKETS = [
+  { value: "OK", label: "OK" },
+  { value: "POTENTIAL", label: "Potential" },
+  { value: "INCOMPLETE", label: "Incomplete" },
+];
+
+function RulesPanel({ leagueId, rules, isCustom, onChange, onReset }) {
+  return (
+    <details className="rounded-2xl p-6 bg-white border border-gray-200 shadow-sm">
+      <summary className="font-semibold text-gray-900 cursor-pointer">
+        Status rules
+        <span className="text-gray-500 font-normal text-sm">
+          {" "}
+          — {isCustom ? `custom rules for league ${leagueId}` : "default rules"}
+        </span>
+      </summary>
+
+      <p className="mt-4 text-xs text-gray-600">
+        Choose how each Sleeper injury or roster status counts toward a lineup. Saved in this browser for this league.
+      </p>
+      <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-2">
+        {STATUS_OPTIONS.map(({ key, label }) => (
+          <label key={key} className="flex items-center justify-between gap-3 text-sm">
+            <span className="text-gray-700">{label}</span>
+            <select
+              className="px-2 py-1 rounded-lg border border-gray-300 bg-white text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+              value={rules[key] || "OK"}
+              onChange={(e) => onChange(key, e.target.value)}
+            >
+              {BUCKETS.map((b) => (
+                <option key={b.value} value={b.value}>
+                  {b.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+      {isCustom && (
+        <button
+          className="mt-4 px-3 py-1.5 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-800 text-xs font-medium"
+          onClick={onReset}
+        >
+          Reset to defaults
+        </button>
+      )}
+    </details>
+  );
+}
+
+export default RulesPanel;
@@ -0,0 +1,43 @@
+import React from "react";
+import SeasonTablePanel from "./SeasonTablePanel";
+import { parseSchedule, GAME_STATE_LABEL } from "./schedule";
+
+function SchedulePanel({ season, week, table, source, games, onSave, onClear }) {
+  const weekGames = (table && table[Number(week)]) || [];
+
+  return (
+    <SeasonTablePanel
+      title="Kickoff schedule"
+      season={season}
+      source={source}
+      parse={parseSchedule}
+      onSave={onSave}
+      onClear={onClear}
+      help={
+        <>
+          Paste or upload CSV rows <code>week,away,home,kickoff</code> (kickoff as ISO time with offset, e.g.{" "}
+          <code>2025-09-07T13:00:00-04:00</code>) or JSON like{" "}
+          <code>{'{"1": [{"away": "DAL", "home": "PHI", "kickoff": "…"}]}'}</code>. Starters whose game has kicked
+          off are no longer counted as actionable.
+        </>
+      }
+      placeholder={"week,away,home,kickoff\n1,DAL,PHI,2025-09-04T20:20:00-04:00"}
+    >
+      {weekGames.length > 0 && (
+        <ul className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-2 text-xs text-gray-700">
+          {weekGames.map((g) => (
+            <li key={`${g.away}@${g.home}`}>
+              <span className="font-medium">
+                {g.away} @ {g.home}
+              </span>{" "}
+              {new Date(g.kickoff).toLocaleString([], { weekday: "short", hour: "numeric", minute: "2-digit" })}
+              {games?.get(g.home) ? <span className="text-gray-500"> · {GAME_STATE_LABEL[games.get(g.home).state]}</span> : null}
+            </li>
+          ))}
+        </ul>
+      )}
+    </SeasonTablePanel>
+  );
+}
+
+export default SchedulePanel;
@@ -0,0 +1,75 @@
+import React, { useState } from "react";
+
+const SOURCE_LABEL = {
+  override: "custom table saved in this browser",
+  bundled: "bundled table",
+};
+
+// Collapsible editor for a per-season table (see seasonTable.js): shows the
+// active table via `children` and accepts a pasted or uploaded replacement.
+function SeasonTablePanel({ title, season, source, parse, onSave, onClear, help, placeholder, children }) {
+  const [text, setText] = useState("");
+  const [error, setError] = useState(null);
+
+  const save = (raw) => {
+    try {
+      onSave(parse(raw));
+      setText("");
+      setError(null);
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    file.text().then(save);
+    e.target.value = "";
+  };
+
+  return (
+    <details className="rounded-2xl p-6 bg-white border border-gray-200 shadow-sm">
+      <summary className="font-semibold text-gray-900 cursor-pointer">
+        {title} {season ? `(${season})` : ""}
+        <span className="text-gray-500 font-normal text-sm"> — {SOURCE_LABEL[source] || "no table loaded"}</span>
+      </summary>
+
+      {children}
+
+      <div className="mt-4 space-y-2">
+        <p className="text-xs text-gray-600">{help}</p>
+        <textarea
+          className="w-full h-28 px-3 py-2 rounded-xl border border-gray-300 text-xs font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder={placeholder}
+        />
+        {error && <p className="text-xs text-rose-600">{error}</p>}
+        <div className="flex flex-wrap items-center gap-2">
+          <button
+            className="px-3 py-1.5 rounded-lg bg-blue-600 text-white text-xs font-medium hover:bg-blue-500 disabled:opacity-50"
+            disabled={!text.trim() || !season}
+            onClick={() => save(text)}
+          >
+            Save for {season || "season"}
+          </button>
+          <label className="px-3 py-1.5 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-800 text-xs font-medium cursor-pointer">
+            Upload file
+            <input type="file" accept=".json,.txt,.csv" className="hidden" onChange={handleFile} disabled={!season} />
+          </label>
+          {source === "override" && (
+            <button
+              className="px-3 py-1.5 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-800 text-xs font-medium"
+              onClick={onClear}
+            >
+              Remove custom table
+            </button>
+          )}
+        </div>
+      </div>
+    </details>
+  );
+}
+
+export default SeasonTablePanel;
@@ -0,0 +1,106 @@
+import React, { useCallback, useState } from "react";
+import { GAME_STATE_LABEL } from "./schedule";
+import { slotLabel } from "./rosterSlots";
+import { TEXT } from "./statusTheme";
+import PlayerDrawer from "./PlayerDrawer";
+
+function formatPoints(points) {
+  return Number(points || 0).toFixed(2);
+}
+
+// Per-slot points-lost line for scored weeks (see pointsLost.js)
+export function SlotPointsLost({ entry }) {
+  if (!entry) return null;
+  return (
+    <span className="text-gray-500">
+      Scored {formatPoints(entry.points)}
+      {entry.alternative
+        ? ` · best bench ${entry.alternative.name} ${formatPoints(entry.alternative.points)} (+${formatPoints(entry.delta)})`
+        : " · no eligible bench player"}
+    </span>
+  );
+}
+
+function resultWord(points, opponentPoints) {
+  if (points === opponentPoints) return "tied";
+  return points < opponentPoints ? "lost" : "won";
+}
+
+export function PointsLostSummary({ team }) {
+  const lost = team.pointsLost;
+  if (!lost) return null;
+  return (
+    <span className={lost.flipsResult ? "font-medium text-rose-700" : "text-gray-600"}>
+      {formatPoints(lost.total)} pts left on the bench
+      {lost.opponentPoints != null &&
+        ` · ${resultWord(team.points, lost.opponentPoints)} ` +
+          `${formatPoints(team.points)}–${formatPoints(lost.opponentPoints)}`}
+      {lost.flipsResult && ", a valid lineup would have won"}
+    </span>
+  );
+}
+
+// Starter slots in league order with game state, status, points lost and bench suggestions.
+// Clicking a player opens their injury and depth-chart details.
+function TeamLineup({ team, players }) {
+  const [openPid, setOpenPid] = useState(null);
+  const closeDrawer = useCallback(() => setOpenPid(null), []);
+
+  return (
+    <>
+      <ul className="space-y-2">
+        {team.slots.map((player) => (
+          <li key={player.index} className="p-2 rounded-lg border border-gray-100 hover:bg-gray-50">
+            <div className="flex items-center">
+              <div className="w-12 shrink-0 text-xs font-medium text-gray-500">{slotLabel(player.slot)}</div>
+              <div className="flex-1 min-w-0 font-medium">
+                {player.isEmpty ? (
+                  player.name
+                ) : (
+                  <button className="text-left hover:underline" onClick={() => setOpenPid(player.pid)}>
+                    {player.name}
+                  </button>
+                )}
+                {!player.isEmpty && player.position !== player.slot && (
+                  <span className="ml-1.5 text-xs font-normal text-gray-500">{player.position}</span>
+                )}
+              </div>
+              {player.game && (
+                <div className={`mr-3 text-xs ${player.actionable ? "text-gray-500" : "text-gray-400 italic"}`}>
+                  {GAME_STATE_LABEL[player.game.state]}
+                </div>
+              )}
+              <div className={`text-sm font-medium ${player.actionable ? TEXT[player.status] : "text-gray-400"}`}>
+                {player.reason === "Active" ? "Active" : 
+                 player.reason || 
+                 (player.status === "OK" ? (player.position === "DEF" ? "Active" : "Healthy") : "")}
+              </div>
+            </div>
+            {team.pointsLost?.slots[player.index] && (
+              <div className="mt-1 ml-12 text-xs">
+                <SlotPointsLost entry={team.pointsLost.slots[player.index]} />
+              </div>
+            )}
+            {team.suggestions?.[player.index] && (
+              <div className="mt-1 ml-12 text-xs text-gray-600">
+                {team.suggestions[player.index].length ? (
+                  <>
+                    <span className="text-gray-500">Start instead: </span>
+                    {team.suggestions[player.index]
+                      .map((c) => `${c.name} (${c.position}${c.team && !c.isDefense ? `, ${c.team}` : ""})`)
+                      .join(", ")}
+                  </>
+                ) : (
+                  <span className="text-gray-500">No eligible healthy bench players</span>
+                )}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+      {openPid && <PlayerDrawer pid={openPid} players={players} onClose={closeDrawer} />}
+    </>
+  );
+}
+
+export default TeamLineup;
@@ -0,0 +1,68 @@
+import { useCallback, useState } from "react";
+import { readJSON, writeJSON } from "./storage";
+import { diffTeams } from "./diffTeams";
+
+// Game-day polling preferences: interval in minutes (0 = off) and opt-in browser notifications
+export const POLL_OPTIONS = [0, 5, 10, 15, 30];
+
+export function useAutoRefreshSettings() {
+  const [settings, setSettings] = useState(() => ({ pollMinutes: 0, notify: false, ...readJSON("autoRefresh", {}) }));
+
+  const update = useCallback((patch) => {
+    setSettings((prev) => {
+      const next = { ...prev, ...patch };
+      writeJSON("autoRefresh", next);
+      return next;
+    });
+  }, []);
+
+  return [settings, update];
+}
+
+/**
+ * Status changes a poll brought in: `before` is the { key, teams } snapshot
+ * taken when the poll started and `after` the evaluation once it finished.
+ * Only polls are diffed, so editing status rules or the bye table, or a slot
+ * locking at kickoff, never shows up as a change. `rosterId` limits the result
+ * to one team (My Team mode).
+ */
+export function pollChanges(before, after, rosterId = null) {
+  if (!before || before.key !== after.key || !before.teams.length || !after.teams.length) return [];
+  const all = diffTeams(before.teams, after.teams);
+  return rosterId == null ? all : all.filter((c) => c.roster_id === rosterId);
+}
+
+export function notificationsSupported() {
+  return typeof window !== "undefined" && "Notification" in window;
+}
+
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return false;
+  if (Notification.permission === "granted") return true;
+  return (await Notification.requestPermission()) === "granted";
+}
+
+function notify(title, options) {
+  try {
+    new Notification(title, options);
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+// Shown through the service worker when one controls the page: Chrome on
+// Android throws "Illegal constructor" for `new Notification()`
+export async function showChangeNotifications(changes) {
+  if (!notificationsSupported() || Notification.permission !== "granted") return;
+  let registration = null;
+  try {
+    registration = (await navigator.serviceWorker?.getRegistration()) || null;
+  } catch (e) {
+    console.error(e);
+  }
+  for (const change of changes) {
+    const options = { body: change.message, tag: `lineup-${change.roster_id}` };
+    if (registration) registration.showNotification("Lineup status changed", options).catch(console.error);
+    else notify("Lineup status changed", options);
+  }
+}
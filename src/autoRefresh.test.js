@@ -0,0 +1,60 @@
+import { pollChanges, showChangeNotifications } from "./autoRefresh";
+import { buildTeams } from "./evaluateLeague";
+import league from "./__fixtures__/league.json";
+import players from "./__fixtures__/players.json";
+import matchups from "./__fixtures__/matchups.json";
+import rosters from "./__fixtures__/rosters.json";
+import users from "./__fixtures__/users.json";
+
+const build = (playersDict) => buildTeams({ matchups, rosters, users, league, players: playersDict, byeSet: new Set() });
+const before = { key: "L:5", teams: build(players) };
+const ruledOut = { ...players, 6794: { ...players["6794"], injury_status: "Out" } };
+
+describe("pollChanges", () => {
+  it("reports what changed between the start and end of a poll", () => {
+    expect(pollChanges(before, { key: "L:5", teams: build(ruledOut) }).map((c) => c.roster_id)).toEqual([1, 2]);
+    expect(pollChanges(before, { key: "L:5", teams: build(ruledOut) }, 2).map((c) => c.roster_id)).toEqual([2]);
+  });
+
+  it("stays quiet without a poll, or when the league or week changed meanwhile", () => {
+    const after = { key: "L:5", teams: build(ruledOut) };
+    expect(pollChanges(null, after)).toEqual([]);
+    expect(pollChanges({ ...before, key: "L:4" }, after)).toEqual([]);
+    expect(pollChanges({ key: "L:5", teams: [] }, after)).toEqual([]);
+  });
+});
+
+describe("showChangeNotifications", () => {
+  const change = { roster_id: 1, message: "Alpha Dogs moved from Complete to Incomplete" };
+
+  beforeEach(() => {
+    // Chrome on Android: the constructor exists but throws
+    window.Notification = jest.fn(() => {
+      throw new TypeError("Illegal constructor");
+    });
+    window.Notification.permission = "granted";
+  });
+
+  afterEach(() => {
+    delete window.Notification;
+    delete navigator.serviceWorker;
+  });
+
+  it("shows notifications through the service worker registration", async () => {
+    const showNotification = jest.fn(() => Promise.resolve());
+    navigator.serviceWorker = { getRegistration: () => Promise.resolve({ showNotification }) };
+    await showChangeNotifications([change]);
+    expect(showNotification).toHaveBeenCalledWith("Lineup status changed", {
+      body: change.message,
+      tag: "lineup-1",
+    });
+    expect(window.Notification).not.toHaveBeenCalled();
+  });
+
+  it("falls back to the constructor without letting it throw", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    await expect(showChangeNotifications([change])).resolves.toBeUndefined();
+    expect(window.Notification).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+});
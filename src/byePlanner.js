@@ -0,0 +1,81 @@
+import { starterSlots } from "./evaluateLineup";
+import { optimalLineup, playerFor } from "./lineupOptimizer";
+import { isEligibleForSlot } from "./rosterSlots";
+import { byeTeamsForWeek } from "./byeWeeks";
+import { avatarUrl, displayTeamName } from "./sleeperApi";
+
+/**
+ * Bye-week planner: for each roster and each remaining week, how many of its
+ * own players could fill each starter slot type once that week's byes are
+ * taken out, and whether a legal lineup can still be fielded.
+ *
+ * Uses the full roster minus IR (reserve) and taxi players. Injuries aren't
+ * projected forward; only the bye table decides who is unavailable.
+ */
+
+// Starter slot types in league order with how many of each the lineup needs
+export function slotRequirements(slots) {
+  const required = new Map();
+  for (const slot of slots) required.set(slot, (required.get(slot) || 0) + 1);
+  return [...required.entries()].map(([slot, count]) => ({ slot, required: count }));
+}
+
+export function lineupPlayerIds(roster) {
+  const excluded = new Set([...(roster?.reserve || []), ...(roster?.taxi || [])]);
+  return (roster?.players || []).filter((pid) => !excluded.has(pid));
+}
+
+// Weeks from `fromWeek` through `lastWeek`, so the grid covers the rest of the season
+export function remainingWeeks(fromWeek, lastWeek) {
+  const first = Math.max(1, Number(fromWeek) || 1);
+  const last = Number(lastWeek) || 0;
+  return last >= first ? Array.from({ length: last - first + 1 }, (_, i) => first + i) : [];
+}
+
+/**
+ * One week for one roster: { week, counts: { [slot]: available }, short, legal, onBye }
+ * where `short` lists the slot types that stay empty even in the best assignment
+ * of available players (an exact matching, see lineupOptimizer.js)
+ * and `onBye` the roster's players whose NFL team is on bye.
+ */
+export function planWeek(ids, slots, players, byeSet, week) {
+  const onBye = ids.filter((pid) => byeSet.has(playerFor(pid, players)?.team));
+  const available = ids.filter((pid) => !onBye.includes(pid));
+
+  const counts = {};
+  for (const { slot } of slotRequirements(slots)) {
+    counts[slot] = available.filter((pid) => {
+      const player = playerFor(pid, players);
+      return player && isEligibleForSlot(player, slot);
+    }).length;
+  }
+
+  const { picks } = optimalLineup(slots, available, players, () => 1);
+  const short = [...new Set(picks.filter((p) => !p.pid).map((p) => p.slot))];
+  return { week, counts, short, legal: short.length === 0, onBye };
+}
+
+// Returns { weeks, slots, rows } with one row per roster and one cell per week
+export function buildByePlanner({ rosters, users, league, players, byeTable, fromWeek, lastWeek }) {
+  const weeks = remainingWeeks(fromWeek, lastWeek);
+  const slots = starterSlots(league);
+  if (!players) return { weeks, slots: slotRequirements(slots), rows: [] };
+  const userById = new Map((users || []).map((u) => [u.user_id, u]));
+
+  const rows = (rosters || []).map((r) => {
+    const owner = userById.get(r.owner_id);
+    const ids = lineupPlayerIds(r);
+    return {
+      roster_id: r.roster_id,
+      name: displayTeamName(owner),
+      avatar: avatarUrl(owner?.avatar || null, "thumbs"),
+      cells: weeks.map((week) => planWeek(ids, slots, players, byeTeamsForWeek(byeTable, week), week)),
+    };
+  });
+
+  return {
+    weeks,
+    slots: slotRequirements(slots),
+    rows: rows.sort((a, b) => a.name.localeCompare(b.name)),
+  };
+}
@@ -0,0 +1,79 @@
+import { buildByePlanner, planWeek, remainingWeeks, slotRequirements } from "./byePlanner";
+import league from "./__fixtures__/league.json";
+import players from "./__fixtures__/players.json";
+import rosters from "./__fixtures__/rosters.json";
+import users from "./__fixtures__/users.json";
+
+const byeTable = { 5: ["ATL"], 6: ["MIN"], 7: ["BAL"], 8: [], 10: ["KC"] };
+
+describe("remainingWeeks", () => {
+  it("runs from the given week through the last week of the season", () => {
+    expect(remainingWeeks(15, 18)).toEqual([15, 16, 17, 18]);
+    expect(remainingWeeks(null, 3)).toEqual([1, 2, 3]);
+    expect(remainingWeeks(19, 18)).toEqual([]);
+  });
+});
+
+describe("slotRequirements", () => {
+  it("counts each starter slot type in league order", () => {
+    expect(slotRequirements(["QB", "RB", "RB", "FLEX", "RB"])).toEqual([
+      { slot: "QB", required: 1 },
+      { slot: "RB", required: 3 },
+      { slot: "FLEX", required: 1 },
+    ]);
+  });
+});
+
+describe("buildByePlanner", () => {
+  const planner = buildByePlanner({ rosters, users, league, players, byeTable, fromWeek: 5, lastWeek: 12 });
+  const alpha = planner.rows.find((r) => r.roster_id === 1);
+  const cell = (row, week) => row.cells.find((c) => c.week === week);
+
+  it("counts available players per slot type once byes are removed", () => {
+    // Weeks after the last bye still get a column through the end of the season
+    expect(planner.weeks).toEqual([5, 6, 7, 8, 9, 10, 11, 12]);
+    expect(cell(alpha, 5).counts).toMatchObject({ QB: 2, RB: 1, WR: 2, TE: 2, FLEX: 5, K: 1, DEF: 1 });
+    expect(cell(alpha, 5).onBye).toEqual(["9509"]);
+  });
+
+  it("flags weeks where the roster can't field a legal lineup", () => {
+    expect(alpha.cells.map((c) => [c.week, c.short])).toEqual([
+      [5, ["RB"]],
+      [6, ["WR"]],
+      [7, ["FLEX"]],
+      [8, []],
+      [9, []],
+      [10, ["FLEX", "K", "DEF"]],
+      [11, []],
+      [12, []],
+    ]);
+    expect(cell(alpha, 8).legal).toBe(true);
+  });
+
+  it("leaves IR and taxi players out of the count", () => {
+    const charlie = planner.rows.find((r) => r.roster_id === 3);
+    // Saquon Barkley (taxi) and Puka Nacua (IR) don't count toward Bijan Robinson's week 5 bye
+    expect(cell(charlie, 5).counts).toMatchObject({ RB: 2, WR: 2 });
+  });
+});
+
+describe("planWeek", () => {
+  const flexPlayers = {
+    wr: { position: "WR", fantasy_positions: ["WR"], team: "MIN" },
+    te: { position: "TE", fantasy_positions: ["TE"], team: "KC" },
+    hybrid: { position: "RB", fantasy_positions: ["RB", "WR"], team: "SF" },
+    rb: { position: "RB", fantasy_positions: ["RB"], team: "ATL" },
+  };
+
+  it("finds a legal lineup across overlapping flex slots", () => {
+    // In roster order the WR would take REC_FLEX and strand WRRB_FLEX; the TE belongs there
+    const cell = planWeek(["wr", "te"], ["REC_FLEX", "WRRB_FLEX"], flexPlayers, new Set(), 5);
+    expect(cell).toMatchObject({ legal: true, short: [] });
+  });
+
+  it("moves a multi-position player to the slot nobody else can fill", () => {
+    const cell = planWeek(["hybrid", "rb"], ["WR", "RB"], flexPlayers, new Set(), 5);
+    expect(cell).toMatchObject({ legal: true, short: [], counts: { WR: 1, RB: 2 } });
+    expect(planWeek(["hybrid", "rb"], ["WR", "RB"], flexPlayers, new Set(["SF"]), 5).short).toEqual(["WR"]);
+  });
+});
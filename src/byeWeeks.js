@@ -0,0 +1,64 @@
+import { useSeasonTable } from "./seasonTable";
+import BYES_2024 from "./data/byes/2024.json";
+import BYES_2025 from "./data/byes/2025.json";
+
+/**
+ * Season-aware NFL bye weeks
+ *
+ * - Bundled tables live in src/data/byes/{season}.json as { week: [team, ...] }.
+ *   Add a file and register it below when the NFL releases a new schedule.
+ * - A commissioner can paste or upload an override for any season; it is kept
+ *   in local storage and wins over the bundled table.
+ * - Team codes must match Sleeper player.team (e.g., "KC", "PHI").
+ */
+
+const BUNDLED = {
+  2024: BYES_2024,
+  2025: BYES_2025,
+};
+
+function normalizeTable(raw) {
+  const table = {};
+  for (const [week, teams] of Object.entries(raw || {})) {
+    const w = Number(String(week).replace(/^week\s*/i, ""));
+    if (!Number.isInteger(w) || w < 1 || w > 22) throw new Error(`Invalid week "${week}"`);
+    if (!Array.isArray(teams)) throw new Error(`Week ${w} must list team codes`);
+    table[w] = teams.map((t) => {
+      const code = String(t).trim().toUpperCase();
+      if (!/^[A-Z]{2,4}$/.test(code)) throw new Error(`Invalid team code "${t}" in week ${w}`);
+      return code;
+    });
+  }
+  return table;
+}
+
+// Accepts the bundled JSON shape, or plain lines such as "Week 5: PIT, CHI, GB, ATL"
+export function parseByeTable(text) {
+  const trimmed = String(text || "").trim();
+  if (!trimmed) throw new Error("Bye table is empty");
+  if (trimmed.startsWith("{")) {
+    let raw;
+    try {
+      raw = JSON.parse(trimmed);
+    } catch (e) {
+      throw new Error(`Invalid JSON: ${e.message}`);
+    }
+    return normalizeTable(raw);
+  }
+  const raw = {};
+  for (const line of trimmed.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const match = line.match(/^\s*(?:week\s*)?(\d+)\s*[:=,-]\s*(.*)$/i);
+    if (!match) throw new Error(`Could not read line "${line.trim()}"`);
+    raw[match[1]] = match[2].split(/[\s,]+/).filter(Boolean);
+  }
+  return normalizeTable(raw);
+}
+
+export function byeTeamsForWeek(table, week) {
+  return new Set((table && table[Number(week)]) || []);
+}
+
+export function useByeWeeks(season) {
+  return useSeasonTable("byes", season, BUNDLED, normalizeTable);
+}
@@ -0,0 +1,35 @@
+import { parseByeTable, byeTeamsForWeek } from "./byeWeeks";
+
+describe("parseByeTable", () => {
+  it("reads the bundled JSON shape and normalises team codes", () => {
+    expect(parseByeTable(JSON.stringify({ 5: ["pit", " CHI "], "Week 6": ["KC"], 7: [] }))).toEqual({
+      5: ["PIT", "CHI"],
+      6: ["KC"],
+      7: [],
+    });
+  });
+
+  it("reads one line per week", () => {
+    const table = parseByeTable("Week 5: PIT, CHI, GB, ATL\r\n\nweek 6 - KC LAR\n7=\n8, MIN");
+    expect(table).toEqual({ 5: ["PIT", "CHI", "GB", "ATL"], 6: ["KC", "LAR"], 7: [], 8: ["MIN"] });
+  });
+
+  it("rejects empty input, bad lines, weeks and team codes", () => {
+    expect(() => parseByeTable("  ")).toThrow("Bye table is empty");
+    expect(() => parseByeTable("{ nope")).toThrow("Invalid JSON");
+    expect(() => parseByeTable("Week 5: PIT\nbyes: KC")).toThrow('Could not read line "byes: KC"');
+    expect(() => parseByeTable("Week 30: PIT")).toThrow('Invalid week "30"');
+    expect(() => parseByeTable(JSON.stringify({ 0: ["PIT"] }))).toThrow('Invalid week "0"');
+    expect(() => parseByeTable(JSON.stringify({ 5: "PIT" }))).toThrow("Week 5 must list team codes");
+    expect(() => parseByeTable("Week 5: PIT, K.C.")).toThrow('Invalid team code "K.C." in week 5');
+  });
+});
+
+describe("byeTeamsForWeek", () => {
+  it("returns the week's teams as a set, empty without a table", () => {
+    const table = parseByeTable("Week 5: PIT, CHI");
+    expect(byeTeamsForWeek(table, "5")).toEqual(new Set(["PIT", "CHI"]));
+    expect(byeTeamsForWeek(table, 6).size).toBe(0);
+    expect(byeTeamsForWeek(null, 5).size).toBe(0);
+  });
+});
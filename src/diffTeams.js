@@ -0,0 +1,56 @@
+import { slotLabel } from "./rosterSlots";
+
+/**
+ * Compares two buildTeams() results for the same league and week and
+ * describes every team whose status moved, e.g.
+ *   "Team X moved from Complete to Incomplete: Player Y ruled Out"
+ */
+
+export const STATUS_LABEL = {
+  OK: "Complete",
+  POTENTIAL: "Potential",
+  INCOMPLETE: "Incomplete",
+};
+
+function slotKey(slot) {
+  return `${slot.index}:${slot.pid}`;
+}
+
+function flagKey(slot) {
+  return `${slotKey(slot)}:${slot.reason}`;
+}
+
+export function describeFlag(slot) {
+  if (slot.isEmpty) return `${slotLabel(slot.slot)} slot empty`;
+  if (slot.reason === "BYE") return `${slot.name} on BYE`;
+  return `${slot.name} ruled ${slot.reason}`;
+}
+
+export function diffTeams(prevTeams, nextTeams) {
+  const prevById = new Map((prevTeams || []).map((t) => [t.roster_id, t]));
+  const changes = [];
+
+  for (const team of nextTeams || []) {
+    const prev = prevById.get(team.roster_id);
+    if (!prev || prev.status === team.status) continue;
+
+    const prevKeys = new Set(prev.flagged.map(flagKey));
+    const nextSlots = new Set(team.flagged.map(slotKey));
+    // New or changed designations, and slots that are no longer flagged at all
+    const added = team.flagged.filter((s) => !prevKeys.has(flagKey(s))).map(describeFlag);
+    const cleared = prev.flagged.filter((s) => !nextSlots.has(slotKey(s))).map((s) => `${s.isEmpty ? `${slotLabel(s.slot)} slot` : s.name} cleared`);
+    const details = [...added, ...cleared];
+
+    changes.push({
+      roster_id: team.roster_id,
+      name: team.name,
+      from: prev.status,
+      to: team.status,
+      message:
+        `${team.name} moved from ${STATUS_LABEL[prev.status]} to ${STATUS_LABEL[team.status]}` +
+        (details.length ? `: ${details.join(", ")}` : ""),
+    });
+  }
+
+  return changes;
+}
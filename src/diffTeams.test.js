@@ -0,0 +1,38 @@
+import { diffTeams } from "./diffTeams";
+import { buildTeams } from "./evaluateLeague";
+import league from "./__fixtures__/league.json";
+import players from "./__fixtures__/players.json";
+import matchups from "./__fixtures__/matchups.json";
+import rosters from "./__fixtures__/rosters.json";
+import users from "./__fixtures__/users.json";
+
+const build = (playersDict, byeSet = new Set()) =>
+  buildTeams({ matchups, rosters, users, league, players: playersDict, byeSet });
+
+describe("diffTeams", () => {
+  it("reports nothing when statuses are unchanged", () => {
+    expect(diffTeams(build(players), build(players))).toEqual([]);
+  });
+
+  it("describes a team that moved to Incomplete and why", () => {
+    const updated = { ...players, 6794: { ...players["6794"], injury_status: "Out" } };
+    const changes = diffTeams(build(players), build(updated));
+    expect(changes.map((c) => c.message)).toEqual([
+      "Alpha Dogs moved from Complete to Incomplete: Justin Jefferson ruled Out",
+      "bravo moved from Potential to Incomplete: Justin Jefferson ruled Out",
+    ]);
+  });
+
+  it("reports a changed designation once", () => {
+    const updated = { ...players, 8138: { ...players["8138"], injury_status: "Out" } };
+    const [change] = diffTeams(build(players), build(updated));
+    expect(change.message).toBe("bravo moved from Potential to Incomplete: Breece Hall ruled Out");
+  });
+
+  it("describes a team that improved", () => {
+    const updated = { ...players, 8138: { ...players["8138"], injury_status: null }, 7564: { ...players["7564"], injury_status: null } };
+    const [change] = diffTeams(build(players), build(updated));
+    expect(change).toMatchObject({ roster_id: 2, from: "POTENTIAL", to: "OK" });
+    expect(change.message).toBe("bravo moved from Potential to Complete: Breece Hall cleared, Ja'Marr Chase cleared");
+  });
+});
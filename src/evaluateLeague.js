@@ -0,0 +1,103 @@
+import { evaluateLineup, DEFAULT_RULES } from "./evaluateLineup";
+import { suggestForLineup } from "./replacements";
+import { pointsLostForLineup, teamPoints, wouldFlip } from "./pointsLost";
+import { avatarUrl, displayTeamName } from "./sleeperApi";
+
+/**
+ * League-wide view model: one entry per matchup row with the team's display
+ * name, avatar, lineup evaluation and bench suggestions. Shared by the single
+ * league view and the multi-league dashboard.
+ *
+ * With `scored` set (a completed week), each team also carries its points and
+ * a pointsLost estimate, including whether a valid lineup would have flipped
+ * the result against its opponent.
+ */
+export function buildTeams({
+  matchups,
+  rosters,
+  users,
+  league,
+  players,
+  byeSet,
+  rules = DEFAULT_RULES,
+  games = null,
+  scored = false,
+}) {
+  if (!players) return [];
+  const userById = new Map((users || []).map((u) => [u.user_id, u]));
+  const rosterById = new Map((rosters || []).map((r) => [r.roster_id, r]));
+
+  const teams = (matchups || []).map((m) => {
+    const roster = rosterById.get(m.roster_id);
+    const owner = userById.get(roster?.owner_id);
+    const evaluation = evaluateLineup(m, players, league, byeSet, rules, { games });
+
+    return {
+      roster_id: m.roster_id,
+      owner_id: roster?.owner_id || null,
+      name: displayTeamName(owner),
+      avatar: avatarUrl(owner?.avatar || null, "thumbs"),
+      status: evaluation.status,
+      slots: evaluation.slots,
+      flagged: evaluation.flagged,
+      suggestions: suggestForLineup(evaluation, roster, m, players, byeSet, rules, { games }),
+      matchup_id: m.matchup_id,
+      points: scored ? teamPoints(m) : null,
+      pointsLost: scored && evaluation.status === "INCOMPLETE" ? pointsLostForLineup(evaluation, roster, m, players) : null,
+    };
+  });
+
+  if (scored) {
+    for (const t of teams) {
+      if (!t.pointsLost) continue;
+      const opponent = teams.find((o) => o.matchup_id != null && o.matchup_id === t.matchup_id && o !== t);
+      t.pointsLost.opponentPoints = opponent ? opponent.points : null;
+      t.pointsLost.flipsResult = wouldFlip(t.points, t.pointsLost.opponentPoints, t.pointsLost.total);
+    }
+  }
+  return teams;
+}
+
+// Status buckets, teams needing the most attention first
+export function groupTeams(teams) {
+  const g = { OK: [], POTENTIAL: [], INCOMPLETE: [] };
+  for (const t of teams) g[t.status].push(t);
+  for (const list of Object.values(g)) {
+    list.sort((a, b) => b.flagged.length - a.flagged.length || a.name.localeCompare(b.name));
+  }
+  return g;
+}
+
+// Head-to-head pairs by matchup_id; teams without a matchup_id (e.g., eliminated
+// in the playoffs) each get their own entry at the end
+export function pairMatchups(teams) {
+  const byId = new Map();
+  const unpaired = [];
+  for (const t of teams) {
+    if (t.matchup_id == null) unpaired.push({ matchup_id: null, teams: [t] });
+    else byId.set(t.matchup_id, [...(byId.get(t.matchup_id) || []), t]);
+  }
+  const pairs = [...byId.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([matchup_id, list]) => ({ matchup_id, teams: list }));
+  return [...pairs, ...unpaired];
+}
+
+// An incomplete lineup facing a complete one — the games that matter for competitive integrity
+export function isMismatch(pair) {
+  const statuses = pair.teams.map((t) => t.status);
+  return statuses.includes("INCOMPLETE") && statuses.includes("OK");
+}
+
+// The team a user manages, as owner or co-owner of its roster
+export function teamForUser(teams, rosters, userId) {
+  if (!userId) return null;
+  const roster = (rosters || []).find((r) => r.owner_id === userId || (r.co_owners || []).includes(userId));
+  return roster ? teams.find((t) => t.roster_id === roster.roster_id) || null : null;
+}
+
+// The other team with the same matchup_id
+export function opponentOf(teams, team) {
+  if (team?.matchup_id == null) return null;
+  return teams.find((t) => t.matchup_id === team.matchup_id && t.roster_id !== team.roster_id) || null;
+}
@@ -0,0 +1,59 @@
+import { buildTeams, groupTeams, pairMatchups, isMismatch, teamForUser, opponentOf } from "./evaluateLeague";
+import league from "./__fixtures__/league.json";
+import players from "./__fixtures__/players.json";
+import matchups from "./__fixtures__/matchups.json";
+import rosters from "./__fixtures__/rosters.json";
+import users from "./__fixtures__/users.json";
+
+const teams = buildTeams({ matchups, rosters, users, league, players, byeSet: new Set() });
+
+describe("buildTeams", () => {
+  it("joins matchups with their owners", () => {
+    expect(teams.map((t) => [t.roster_id, t.name, t.status])).toEqual([
+      [1, "Alpha Dogs", "OK"],
+      [2, "bravo", "POTENTIAL"],
+      [3, "Charlie's Angels", "INCOMPLETE"],
+      [4, "delta", "INCOMPLETE"],
+    ]);
+    expect(teams[0].avatar).toBe("https://sleepercdn.com/avatars/thumbs/a1");
+  });
+
+  it("returns nothing until players are loaded", () => {
+    expect(buildTeams({ matchups, rosters, users, league, players: null, byeSet: new Set() })).toEqual([]);
+  });
+});
+
+describe("groupTeams", () => {
+  it("buckets by status with the most issues first", () => {
+    const grouped = groupTeams(teams);
+    expect(grouped.OK.map((t) => t.roster_id)).toEqual([1]);
+    expect(grouped.INCOMPLETE.map((t) => [t.roster_id, t.flagged.length])).toEqual([
+      [4, 3],
+      [3, 2],
+    ]);
+  });
+});
+
+describe("pairMatchups", () => {
+  it("pairs teams by matchup_id and flags incomplete-vs-complete games", () => {
+    const pairs = pairMatchups([...teams, { ...teams[0], roster_id: 9, matchup_id: null }]);
+    expect(pairs.map((p) => [p.matchup_id, p.teams.map((t) => t.roster_id)])).toEqual([
+      [1, [1, 2]],
+      [2, [3, 4]],
+      [null, [9]],
+    ]);
+    expect(pairs.map(isMismatch)).toEqual([false, false, false]);
+    expect(isMismatch({ teams: [teams[0], teams[2]] })).toBe(true);
+  });
+});
+
+describe("teamForUser", () => {
+  it("finds a manager's team by owner or co-owner, and its opponent", () => {
+    const shared = rosters.map((r) => (r.roster_id === 3 ? { ...r, co_owners: ["u9"] } : r));
+    expect(teamForUser(teams, shared, "u3").roster_id).toBe(3);
+    expect(teamForUser(teams, shared, "u9").roster_id).toBe(3);
+    expect(teamForUser(teams, shared, "nobody")).toBeNull();
+    expect(opponentOf(teams, teams[2]).roster_id).toBe(4);
+    expect(opponentOf(teams, { ...teams[0], matchup_id: null })).toBeNull();
+  });
+});
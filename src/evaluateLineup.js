@@ -0,0 +1,155 @@
+/**
+ * Lineup evaluation engine — framework-free so it can run in the browser,
+ * in tests and in any future script against plain Sleeper API payloads.
+ *
+ * evaluateLineup(matchup, players, league, byeSet, rules, options) walks every
+ * starter slot of a /league/{id}/matchups/{week} entry and returns:
+ *   { status, slots, flagged }
+ * where `slots` has one result per starter slot (in league order), `flagged`
+ * is the subset that isn't OK and can still be changed, and `status` is the
+ * worst status among those.
+ *
+ * options.games is an optional Map of NFL team → { kickoff, state } (see
+ * schedule.js). Slots whose game is IN_PROGRESS or LOCKED are no longer
+ * actionable and don't count toward the team status.
+ */
+
+export const STATUS_RANK = { OK: 0, POTENTIAL: 1, INCOMPLETE: 2 };
+
+// Used when the league payload is missing or has no roster_positions
+export const DEFAULT_ROSTER_POSITIONS = ["QB", "RB", "RB", "WR", "WR", "TE", "FLEX", "FLEX", "DEF", "K"];
+
+// Sleeper injury_status / status values, keyed by their lowercased form
+export const STATUS_OPTIONS = [
+  { key: "questionable", label: "Questionable" },
+  { key: "doubtful", label: "Doubtful" },
+  { key: "out", label: "Out" },
+  { key: "ir", label: "IR" },
+  { key: "pup", label: "PUP" },
+  { key: "suspended", label: "Suspended" },
+  { key: "na", label: "NA (not with team)" },
+  { key: "cov", label: "COV" },
+  { key: "dnr", label: "DNR (did not report)" },
+  { key: "inactive", label: "Inactive" },
+];
+
+// Status value → team status bucket. Anything not listed is treated as OK.
+export const DEFAULT_RULES = {
+  questionable: "POTENTIAL",
+  doubtful: "POTENTIAL",
+  out: "INCOMPLETE",
+  ir: "INCOMPLETE",
+  pup: "INCOMPLETE",
+  suspended: "INCOMPLETE",
+  na: "OK",
+  cov: "OK",
+  dnr: "OK",
+  inactive: "OK",
+};
+
+// Sleeper spells a few statuses differently between injury_status and status
+const STATUS_ALIASES = {
+  suspension: "suspended",
+  sus: "suspended",
+  "injured reserve": "ir",
+  "physically unable to perform": "pup",
+};
+
+export function isEmptySlot(pid) {
+  // Sleeper uses "0" as a string to represent empty slots
+  return !pid || pid === "0";
+}
+
+export function isDSTStarterId(pid) {
+  return /^[A-Z]{2,4}$/.test(pid); // e.g., "PHI", "KC" as D/ST codes
+}
+
+export function playerName(player) {
+  return `${player?.first_name || ""} ${player?.last_name || ""}`.trim();
+}
+
+export function normalizeStatus(value) {
+  const key = String(value || "").trim().toLowerCase();
+  return STATUS_ALIASES[key] || key;
+}
+
+export function worstStatus(a, b) {
+  return STATUS_RANK[b] > STATUS_RANK[a] ? b : a;
+}
+
+// Returns { status, reason } for a player using the injury_status first, then status
+export function classifyPlayer(player, rules = DEFAULT_RULES) {
+  let result = { status: "OK", reason: player?.injury_status || player?.status || null };
+  for (const value of [player?.injury_status, player?.status]) {
+    const bucket = rules[normalizeStatus(value)];
+    if (bucket && STATUS_RANK[bucket] > STATUS_RANK[result.status]) {
+      result = { status: bucket, reason: String(value) };
+    }
+  }
+  return result;
+}
+
+export function starterSlots(league) {
+  const positions = league?.roster_positions?.length ? league.roster_positions : DEFAULT_ROSTER_POSITIONS;
+  return positions.filter((p) => !["BN", "IR", "TAXI"].includes(p));
+}
+
+export function evaluateSlot(pid, index, slot, players, byeSet, rules) {
+  if (isEmptySlot(pid)) {
+    return { index, slot, pid: null, name: "EMPTY", position: slot, status: "INCOMPLETE", reason: "Empty Slot", isEmpty: true };
+  }
+
+  if (isDSTStarterId(pid)) {
+    const onBye = byeSet.has(pid);
+    return {
+      index,
+      slot,
+      pid,
+      name: `${pid} D/ST`,
+      position: "DEF",
+      team: pid,
+      status: onBye ? "INCOMPLETE" : "OK",
+      reason: onBye ? "BYE" : "Active",
+      isDefense: true,
+    };
+  }
+
+  const player = players?.[pid];
+  if (!player) {
+    return { index, slot, pid, name: "EMPTY", position: slot, status: "INCOMPLETE", reason: "Empty Slot", isEmpty: true };
+  }
+
+  const base = { index, slot, pid, name: playerName(player), position: player.position || slot, team: player.team || null };
+
+  // Treat BYE as OUT when player's NFL team is on bye this week
+  if (player.team && byeSet.has(player.team)) {
+    return { ...base, status: "INCOMPLETE", reason: "BYE" };
+  }
+
+  return { ...base, ...classifyPlayer(player, rules) };
+}
+
+function withGame(slot, games) {
+  if (!games?.size) return { ...slot, game: null, actionable: true };
+  if (slot.isEmpty) {
+    // An empty slot can still be filled while any game this week hasn't kicked off
+    const anyUpcoming = [...games.values()].some((g) => g.state === "UPCOMING");
+    return { ...slot, game: null, actionable: anyUpcoming };
+  }
+  // Teams without a game (e.g., on bye) stay actionable
+  const game = games.get(slot.team) || null;
+  return { ...slot, game, actionable: !game || game.state === "UPCOMING" };
+}
+
+export function evaluateLineup(matchup, players, league, byeSet = new Set(), rules = DEFAULT_RULES, options = {}) {
+  const positions = starterSlots(league);
+  const starters = matchup?.starters || [];
+
+  const slots = starters.map((pid, index) =>
+    withGame(evaluateSlot(pid, index, positions[index] || "FLEX", players, byeSet, rules), options.games)
+  );
+  const flagged = slots.filter((s) => s.status !== "OK" && s.actionable);
+  const status = flagged.reduce((acc, s) => worstStatus(acc, s.status), "OK");
+
+  return { status, slots, flagged };
+}
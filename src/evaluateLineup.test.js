@@ -0,0 +1,139 @@
+import { evaluateLineup, classifyPlayer, starterSlots, DEFAULT_RULES } from "./evaluateLineup";
+import league from "./__fixtures__/league.json";
+import players from "./__fixtures__/players.json";
+import matchups from "./__fixtures__/matchups.json";
+
+const byRoster = (id) => matchups.find((m) => m.roster_id === id);
+const noByes = new Set();
+
+describe("evaluateLineup", () => {
+  it("marks a fully healthy lineup as OK", () => {
+    const result = evaluateLineup(byRoster(1), players, league, noByes);
+    expect(result.status).toBe("OK");
+    expect(result.flagged).toEqual([]);
+    expect(result.slots).toHaveLength(9);
+  });
+
+  it("returns POTENTIAL for questionable and doubtful starters", () => {
+    const result = evaluateLineup(byRoster(2), players, league, noByes);
+    expect(result.status).toBe("POTENTIAL");
+    expect(result.flagged.map((s) => [s.pid, s.reason])).toEqual([
+      ["8138", "Questionable"],
+      ["7564", "Doubtful"],
+    ]);
+  });
+
+  it("flags both the empty slot and the OUT starter", () => {
+    const result = evaluateLineup(byRoster(3), players, league, noByes);
+    expect(result.status).toBe("INCOMPLETE");
+    expect(result.flagged).toHaveLength(2);
+    expect(result.flagged[0]).toMatchObject({ pid: "4984", slot: "QB", reason: "Out" });
+    expect(result.flagged[1]).toMatchObject({ slot: "FLEX", isEmpty: true, reason: "Empty Slot" });
+  });
+
+  it("evaluates every slot instead of stopping at the first OUT", () => {
+    const result = evaluateLineup(byRoster(4), players, league, noByes);
+    expect(result.status).toBe("INCOMPLETE");
+    expect(result.flagged.map((s) => s.reason)).toEqual(["PUP", "IR", "Sus"]);
+  });
+
+  it("treats players and defenses on bye as INCOMPLETE", () => {
+    const result = evaluateLineup(byRoster(1), players, league, new Set(["KC"]));
+    expect(result.flagged.map((s) => [s.name, s.reason])).toEqual([
+      ["Patrick Mahomes", "BYE"],
+      ["Travis Kelce", "BYE"],
+      ["Harrison Butker", "BYE"],
+      ["KC D/ST", "BYE"],
+    ]);
+  });
+
+  it("labels slots from the league roster positions", () => {
+    const result = evaluateLineup(byRoster(1), players, league, noByes);
+    expect(result.slots.map((s) => s.slot)).toEqual(["QB", "RB", "RB", "WR", "WR", "TE", "FLEX", "K", "DEF"]);
+  });
+
+  it("keeps superflex and IDP slots in league order next to the player's position", () => {
+    const idpLeague = { roster_positions: ["QB", "SUPER_FLEX", "DL", "LB", "IDP_FLEX", "BN", "IR"] };
+    const idpPlayers = {
+      ...players,
+      9001: { first_name: "Myles", last_name: "Garrett", position: "DE", fantasy_positions: ["DL"], team: "CLE" },
+      9002: { first_name: "Fred", last_name: "Warner", position: "LB", fantasy_positions: ["LB"], team: "SF" },
+    };
+    const matchup = { roster_id: 9, starters: ["4046", "4881", "9001", "9002", "0"] };
+    const result = evaluateLineup(matchup, idpPlayers, idpLeague, noByes);
+    expect(result.slots.map((s) => [s.slot, s.position])).toEqual([
+      ["QB", "QB"],
+      ["SUPER_FLEX", "QB"],
+      ["DL", "DE"],
+      ["LB", "LB"],
+      ["IDP_FLEX", "IDP_FLEX"],
+    ]);
+    expect(result.flagged).toEqual([expect.objectContaining({ slot: "IDP_FLEX", isEmpty: true })]);
+  });
+
+  it("falls back to standard positions without a league", () => {
+    const result = evaluateLineup(byRoster(3), players, null, noByes);
+    expect(result.slots[6]).toMatchObject({ slot: "FLEX", isEmpty: true });
+  });
+
+  it("applies custom rules", () => {
+    const strict = { ...DEFAULT_RULES, doubtful: "INCOMPLETE", questionable: undefined };
+    const result = evaluateLineup(byRoster(2), players, league, noByes, strict);
+    expect(result.status).toBe("INCOMPLETE");
+    expect(result.flagged.map((s) => s.pid)).toEqual(["7564"]);
+  });
+});
+
+describe("classifyPlayer", () => {
+  it("uses the player status when the injury status is empty", () => {
+    expect(classifyPlayer({ status: "Suspension" })).toEqual({ status: "INCOMPLETE", reason: "Suspension" });
+    expect(classifyPlayer({ status: "Active" })).toEqual({ status: "OK", reason: "Active" });
+  });
+
+  it("maps long-form statuses and respects per-league overrides", () => {
+    expect(classifyPlayer({ status: "Injured Reserve" }).status).toBe("INCOMPLETE");
+    expect(classifyPlayer({ status: "Inactive" }).status).toBe("OK");
+    expect(classifyPlayer({ status: "Inactive" }, { ...DEFAULT_RULES, inactive: "INCOMPLETE" })).toEqual({
+      status: "INCOMPLETE",
+      reason: "Inactive",
+    });
+  });
+});
+
+describe("starterSlots", () => {
+  it("drops bench, IR and taxi positions", () => {
+    expect(starterSlots(league)).toHaveLength(9);
+  });
+});
+
+describe("evaluateLineup with kickoff times", () => {
+  const games = (states) => new Map(Object.entries(states).map(([team, state]) => [team, { kickoff: 0, state }]));
+
+  it("ignores problems in games that have already kicked off", () => {
+    const result = evaluateLineup(byRoster(2), players, league, noByes, DEFAULT_RULES, {
+      games: games({ NYJ: "LOCKED", CIN: "IN_PROGRESS" }),
+    });
+    expect(result.status).toBe("OK");
+    expect(result.flagged).toEqual([]);
+    expect(result.slots[1]).toMatchObject({ pid: "8138", status: "POTENTIAL", actionable: false });
+  });
+
+  it("keeps upcoming and bye slots actionable", () => {
+    const result = evaluateLineup(byRoster(2), players, league, new Set(["CIN"]), DEFAULT_RULES, {
+      games: games({ NYJ: "UPCOMING" }),
+    });
+    expect(result.status).toBe("INCOMPLETE");
+    expect(result.flagged.map((s) => s.reason)).toEqual(["Questionable", "BYE"]);
+  });
+
+  it("stops flagging empty slots once every game has started", () => {
+    const locked = evaluateLineup(byRoster(3), players, league, noByes, DEFAULT_RULES, {
+      games: games({ BUF: "LOCKED", SF: "IN_PROGRESS" }),
+    });
+    expect(locked.status).toBe("OK");
+    const open = evaluateLineup(byRoster(3), players, league, noByes, DEFAULT_RULES, {
+      games: games({ BUF: "LOCKED", SF: "UPCOMING" }),
+    });
+    expect(open.flagged).toMatchObject([{ isEmpty: true }]);
+  });
+});
@@ -0,0 +1,98 @@
+import { STATUS_LABEL, describeFlag } from "./diffTeams";
+
+/**
+ * League lineup report exports built from buildTeams() output.
+ * meta = { leagueId, leagueName, season, week }
+ */
+
+const CSV_COLUMNS = ["team", "status", "slot", "player", "nfl_team", "reason"];
+
+// One row per starter slot across the league
+export function reportRows(teams) {
+  const rows = [];
+  for (const t of teams) {
+    for (const s of t.slots) {
+      rows.push({
+        team: t.name,
+        status: STATUS_LABEL[t.status],
+        slot: s.slot,
+        player: s.isEmpty ? "" : s.name,
+        nfl_team: s.team || "",
+        reason: s.status === "OK" ? "" : s.reason || "",
+      });
+    }
+  }
+  return rows;
+}
+
+// Text starting with =, +, - or @ is read as a formula by spreadsheets, so it gets a leading '
+function csvCell(value) {
+  let text = String(value ?? "");
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function rowsToCSV(columns, rows) {
+  const lines = [columns.join(",")];
+  for (const row of rows) lines.push(columns.map((c) => csvCell(row[c])).join(","));
+  return lines.join("\n") + "\n";
+}
+
+export function toCSV(teams) {
+  return rowsToCSV(CSV_COLUMNS, reportRows(teams));
+}
+
+export function toJSON(teams, meta) {
+  return JSON.stringify(
+    {
+      ...meta,
+      generated_at: new Date().toISOString(),
+      teams: teams.map((t) => ({
+        roster_id: t.roster_id,
+        matchup_id: t.matchup_id,
+        name: t.name,
+        status: t.status,
+        starters: t.slots.map((s) => ({
+          slot: s.slot,
+          player_id: s.pid,
+          player: s.isEmpty ? null : s.name,
+          nfl_team: s.team || null,
+          status: s.status,
+          reason: s.reason || null,
+        })),
+      })),
+    },
+    null,
+    2
+  );
+}
+
+function plural(n, word) {
+  return `${n} ${n === 1 ? "team" : "teams"} ${word}`;
+}
+
+// Plain-text summary that reads well pasted into the Sleeper league chat
+export function toMarkdown(teams, meta) {
+  const by = (status) => teams.filter((t) => t.status === status);
+  const detail = (t) => `${t.name} (${t.flagged.map(describeFlag).join("; ")})`;
+  const incomplete = by("INCOMPLETE");
+  const potential = by("POTENTIAL");
+  const complete = by("OK");
+
+  const lines = [`Week ${meta.week} lineup check${meta.leagueName ? ` — ${meta.leagueName}` : ""}`];
+  if (incomplete.length) lines.push(`⚠️ ${plural(incomplete.length, "incomplete")}: ${incomplete.map(detail).join(", ")}`);
+  if (potential.length) lines.push(`🟠 ${plural(potential.length, "to watch")}: ${potential.map(detail).join(", ")}`);
+  lines.push(`✅ ${plural(complete.length, "complete")}`);
+  return lines.join("\n") + "\n";
+}
+
+export function downloadText(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
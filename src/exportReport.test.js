@@ -0,0 +1,65 @@
+import { toCSV, toJSON, toMarkdown, reportRows, rowsToCSV } from "./exportReport";
+import { buildTeams } from "./evaluateLeague";
+import league from "./__fixtures__/league.json";
+import players from "./__fixtures__/players.json";
+import matchups from "./__fixtures__/matchups.json";
+import rosters from "./__fixtures__/rosters.json";
+import users from "./__fixtures__/users.json";
+
+const teams = buildTeams({ matchups, rosters, users, league, players, byeSet: new Set() });
+const meta = { leagueId: "1180160954902351872", leagueName: "Fixture Dynasty League", season: "2025", week: 5 };
+
+describe("reportRows", () => {
+  it("has one row per starter slot", () => {
+    expect(reportRows(teams)).toHaveLength(36);
+  });
+});
+
+describe("toCSV", () => {
+  it("writes a header and one line per slot", () => {
+    const lines = toCSV(teams).trim().split("\n");
+    expect(lines[0]).toBe("team,status,slot,player,nfl_team,reason");
+    expect(lines).toContain("Charlie's Angels,Incomplete,QB,Josh Allen,BUF,Out");
+    expect(lines).toContain("Charlie's Angels,Incomplete,FLEX,,,Empty Slot");
+    expect(lines).toContain("Alpha Dogs,Complete,QB,Patrick Mahomes,KC,");
+  });
+
+  it("keeps spreadsheets from reading team names as formulas", () => {
+    const rows = [{ team: '=HYPERLINK("x")', points: -1.5 }, { team: "@SUM(A1)", points: 3 }, { team: "+1", points: 0 }];
+    expect(rowsToCSV(["team", "points"], rows).trim().split("\n")).toEqual([
+      "team,points",
+      `"'=HYPERLINK(""x"")",-1.5`,
+      "'@SUM(A1),3",
+      "'+1,0",
+    ]);
+  });
+});
+
+describe("toJSON", () => {
+  it("includes league metadata and every starter", () => {
+    const parsed = JSON.parse(toJSON(teams, meta));
+    expect(parsed).toMatchObject({ leagueId: meta.leagueId, week: 5 });
+    expect(parsed.teams[2].starters[6]).toEqual({
+      slot: "FLEX",
+      player_id: null,
+      player: null,
+      nfl_team: null,
+      status: "INCOMPLETE",
+      reason: "Empty Slot",
+    });
+  });
+});
+
+describe("toMarkdown", () => {
+  it("summarises the league for the chat", () => {
+    expect(toMarkdown(teams, meta)).toBe(
+      [
+        "Week 5 lineup check — Fixture Dynasty League",
+        "⚠️ 2 teams incomplete: Charlie's Angels (Josh Allen ruled Out; FLEX slot empty), delta (Saquon Barkley ruled PUP; Puka Nacua ruled IR; Justin Tucker ruled Sus)",
+        "🟠 1 team to watch: bravo (Breece Hall ruled Questionable; Ja'Marr Chase ruled Doubtful)",
+        "✅ 1 team complete",
+        "",
+      ].join("\n")
+    );
+  });
+});
@@ -0,0 +1,120 @@
+import { normalizeStatus } from "./evaluateLineup";
+
+/**
+ * League-wide exposure report built from buildTeams() output: the same starter
+ * slots turned around so each OUT, Questionable or bye NFL player lists the
+ * fantasy teams that start them, plus counts per NFL team for recap posts.
+ *
+ * Kinds come from the slot's reason rather than its status, so the report
+ * doesn't depend on the league's status rules. IR, PUP and suspended players
+ * can't play either and count as OUT. Locked slots are included.
+ */
+
+export const EXPOSURE_KINDS = ["bye", "out", "questionable"];
+
+export const KIND_LABEL = { bye: "Bye", out: "Out", questionable: "Questionable" };
+
+// Normalized statuses reported under each kind
+const KIND_OF_STATUS = { out: "out", ir: "out", pup: "out", suspended: "out", questionable: "questionable" };
+
+export function exposureKind(slot) {
+  if (slot.isEmpty) return null;
+  if (slot.reason === "BYE") return "bye";
+  return KIND_OF_STATUS[normalizeStatus(slot.reason)] || null;
+}
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+/**
+ * Returns { players, nflTeams }:
+ *   players  — { pid, name, position, team, kind, teams: [{ roster_id, name }] },
+ *              grouped by kind, most-started first
+ *   nflTeams — { team, counts: { bye, out, questionable }, total }, where each
+ *              count is the number of fantasy teams starting at least one of
+ *              that NFL team's players of that kind
+ */
+export function buildExposure(teams) {
+  const players = new Map();
+  const nflTeams = new Map();
+
+  for (const t of teams) {
+    const owner = { roster_id: t.roster_id, name: t.name };
+    for (const slot of t.slots) {
+      const kind = exposureKind(slot);
+      if (!kind) continue;
+
+      const entry = players.get(slot.pid) || {
+        pid: slot.pid,
+        name: slot.name,
+        position: slot.position,
+        team: slot.team || null,
+        kind,
+        teams: [],
+      };
+      if (!entry.teams.some((o) => o.roster_id === t.roster_id)) entry.teams.push(owner);
+      players.set(slot.pid, entry);
+
+      if (!slot.team) continue;
+      const sets = nflTeams.get(slot.team) || Object.fromEntries(EXPOSURE_KINDS.map((k) => [k, new Set()]));
+      sets[kind].add(t.roster_id);
+      nflTeams.set(slot.team, sets);
+    }
+  }
+
+  const playerList = [...players.values()]
+    .map((p) => ({ ...p, teams: [...p.teams].sort(byName) }))
+    .sort(
+      (a, b) =>
+        EXPOSURE_KINDS.indexOf(a.kind) - EXPOSURE_KINDS.indexOf(b.kind) ||
+        b.teams.length - a.teams.length ||
+        a.name.localeCompare(b.name)
+    );
+
+  const teamList = [...nflTeams.entries()]
+    .map(([team, sets]) => {
+      const counts = Object.fromEntries(EXPOSURE_KINDS.map((k) => [k, sets[k].size]));
+      return { team, counts, total: new Set(EXPOSURE_KINDS.flatMap((k) => [...sets[k]])).size };
+    })
+    .sort((a, b) => b.total - a.total || a.team.localeCompare(b.team));
+
+  return { players: playerList, nflTeams: teamList };
+}
+
+function teamsStart(n, nflTeam, kind) {
+  const who = `${n} ${n === 1 ? "team starts" : "teams start"} a ${nflTeam} player`;
+  return kind === "bye" ? `${who} on bye` : `${who} listed ${KIND_LABEL[kind]}`;
+}
+
+// Per-NFL-team sentences, e.g. "5 teams start a PHI player on bye"
+export function exposureLines(report) {
+  const lines = [];
+  for (const kind of EXPOSURE_KINDS) {
+    for (const t of report.nflTeams) {
+      const count = t.counts[kind];
+      if (count) lines.push({ kind, team: t.team, count, text: teamsStart(count, t.team, kind) });
+    }
+  }
+  // Stable sort keeps bye before out before questionable for equal counts
+  return lines.sort((a, b) => b.count - a.count);
+}
+
+// Plain-text version for a weekly recap post; meta = { leagueName, week }
+export function exposureToText(report, meta) {
+  const lines = [`Week ${meta.week} injury & bye exposure${meta.leagueName ? ` — ${meta.leagueName}` : ""}`];
+  if (!report.players.length) {
+    lines.push("", "No team starts a player who is OUT, Questionable or on bye.");
+    return lines.join("\n") + "\n";
+  }
+
+  lines.push("", ...exposureLines(report).map((l) => `• ${l.text}`));
+  for (const kind of EXPOSURE_KINDS) {
+    const list = report.players.filter((p) => p.kind === kind);
+    if (!list.length) continue;
+    lines.push("", `${KIND_LABEL[kind]}:`);
+    for (const p of list) {
+      const where = [p.position, p.team].filter(Boolean).join(", ");
+      lines.push(`• ${p.name} (${where}) — ${p.teams.map((t) => t.name).join(", ")}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,71 @@
+import { buildExposure, exposureLines, exposureToText } from "./exposureReport";
+import { buildTeams } from "./evaluateLeague";
+import league from "./__fixtures__/league.json";
+import players from "./__fixtures__/players.json";
+import matchups from "./__fixtures__/matchups.json";
+import rosters from "./__fixtures__/rosters.json";
+import users from "./__fixtures__/users.json";
+
+// KC on bye: every roster starts at least one Chief
+const teams = buildTeams({ matchups, rosters, users, league, players, byeSet: new Set(["KC"]) });
+const report = buildExposure(teams);
+
+describe("buildExposure", () => {
+  it("lists bye, OUT and Questionable starters with the teams that start them", () => {
+    expect(report.players.map((p) => [p.pid, p.kind, p.teams.map((t) => t.roster_id)])).toEqual([
+      ["3678", "bye", [1, 2, 3]],
+      ["1466", "bye", [1, 3, 4]],
+      ["KC", "bye", [1, 3]],
+      ["4046", "bye", [1, 4]],
+      ["4984", "out", [3]],
+      ["17", "out", [4]],
+      ["7839", "out", [4]],
+      ["4866", "out", [4]],
+      ["8138", "questionable", [2]],
+    ]);
+  });
+
+  it("counts each fantasy team once per NFL team and kind", () => {
+    expect(report.nflTeams).toEqual([
+      { team: "KC", counts: { bye: 4, out: 0, questionable: 0 }, total: 4 },
+      { team: "BAL", counts: { bye: 0, out: 1, questionable: 0 }, total: 1 },
+      { team: "BUF", counts: { bye: 0, out: 1, questionable: 0 }, total: 1 },
+      { team: "LAR", counts: { bye: 0, out: 1, questionable: 0 }, total: 1 },
+      { team: "NYJ", counts: { bye: 0, out: 0, questionable: 1 }, total: 1 },
+      { team: "PHI", counts: { bye: 0, out: 1, questionable: 0 }, total: 1 },
+    ]);
+    expect(exposureLines(report).map((l) => l.text)).toEqual([
+      "4 teams start a KC player on bye",
+      "1 team starts a BAL player listed Out",
+      "1 team starts a BUF player listed Out",
+      "1 team starts a LAR player listed Out",
+      "1 team starts a PHI player listed Out",
+      "1 team starts a NYJ player listed Questionable",
+    ]);
+  });
+
+  it("reports IR, PUP and suspended starters as out", () => {
+    const out = report.players.filter((p) => p.kind === "out").map((p) => [p.name, p.team]);
+    expect(out).toEqual([
+      ["Josh Allen", "BUF"],
+      ["Justin Tucker", "BAL"],
+      ["Puka Nacua", "LAR"],
+      ["Saquon Barkley", "PHI"],
+    ]);
+  });
+
+  it("ignores doubtful starters and empty slots", () => {
+    const quiet = buildExposure(buildTeams({ matchups, rosters, users, league, players, byeSet: new Set() }));
+    expect(quiet.players.map((p) => p.pid)).toEqual(["4984", "17", "7839", "4866", "8138"]);
+  });
+});
+
+describe("exposureToText", () => {
+  it("writes a recap-ready summary", () => {
+    const text = exposureToText(report, { week: 5, leagueName: "Test League" });
+    expect(text).toContain("Week 5 injury & bye exposure — Test League");
+    expect(text).toContain("• Travis Kelce (TE, KC) — Alpha Dogs, Charlie's Angels, delta");
+    expect(text).toContain("Out:\n• Josh Allen (QB, BUF) — Charlie's Angels");
+    expect(exposureToText({ players: [], nflTeams: [] }, { week: 1 })).toContain("No team starts a player");
+  });
+});
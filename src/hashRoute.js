@@ -0,0 +1,96 @@
+import { useCallback, useEffect, useState } from "react";
+
+/**
+ * Hash-based routing so links work on GitHub Pages without server rewrites.
+ *
+ *   #/dashboard
+ *   #/league/{leagueId}?week=5&team=3&show=POTENTIAL,INCOMPLETE&layout=matchups
+ *   #/history/{leagueId}
+ *   #/team/{leagueId}
+ *   #/exposure/{leagueId}?week=5
+ *   #/byes/{leagueId}
+ *
+ * `week` pins a week (absent = current week), `team` is the roster_id whose
+ * lineup modal is open, `show` lists the visible status columns (absent = all)
+ * and `layout` switches between status buckets (default) and head-to-head matchups.
+ */
+
+export const STATUSES = ["OK", "POTENTIAL", "INCOMPLETE"];
+
+// Views scoped to a single league; the hash path is /{view}/{leagueId}
+export const LEAGUE_VIEWS = ["league", "history", "team", "exposure", "byes"];
+
+export function parseHash(hash, defaultLeagueId) {
+  const [path, query = ""] = String(hash || "").replace(/^#\/?/, "").split("?");
+  let view, leagueId;
+  try {
+    [view, leagueId] = path.split("/").map(decodeURIComponent);
+  } catch (e) {
+    // Malformed escape like "%E0%A4%A" in a hand-edited link — use the default route
+    return parseHash("", defaultLeagueId);
+  }
+  const params = new URLSearchParams(query);
+
+  if (view === "dashboard") {
+    return { view: "dashboard", leagueId: null, week: null, team: null, show: STATUSES, layout: "status" };
+  }
+
+  const week = Number(params.get("week")) || null;
+  const team = Number(params.get("team")) || null;
+  const show = params.has("show") ? params.get("show").split(",").filter((s) => STATUSES.includes(s)) : STATUSES;
+  const layout = params.get("layout") === "matchups" ? "matchups" : "status";
+  const isLeagueView = LEAGUE_VIEWS.includes(view);
+  return {
+    view: isLeagueView ? view : "league",
+    leagueId: (isLeagueView && leagueId) || defaultLeagueId,
+    week,
+    team,
+    show,
+    layout,
+  };
+}
+
+export function buildHash(route) {
+  if (route.view === "dashboard") return "#/dashboard";
+  if (route.view !== "league") {
+    // The exposure report keeps the pinned week; other views ignore the query
+    const query = route.view === "exposure" && route.week ? `?week=${route.week}` : "";
+    return `#/${route.view}/${encodeURIComponent(route.leagueId)}${query}`;
+  }
+  const params = new URLSearchParams();
+  if (route.week) params.set("week", route.week);
+  if (route.team) params.set("team", route.team);
+  if (route.show && route.show.length !== STATUSES.length) params.set("show", route.show.join(","));
+  if (route.layout === "matchups") params.set("layout", "matchups");
+  const query = params.toString();
+  return `#/league/${encodeURIComponent(route.leagueId)}${query ? `?${query.replace(/%2C/g, ",")}` : ""}`;
+}
+
+// Current route plus navigate(patch, { replace }) — pushes a history entry
+// unless `replace` is set, so back/forward walk through leagues, weeks and teams
+export function useHashRoute(defaultLeagueId) {
+  const [route, setRoute] = useState(() => parseHash(window.location.hash, defaultLeagueId));
+
+  useEffect(() => {
+    const onHashChange = () => setRoute(parseHash(window.location.hash, defaultLeagueId));
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, [defaultLeagueId]);
+
+  const navigate = useCallback(
+    (patch, { replace = false } = {}) => {
+      const next = { ...parseHash(window.location.hash, defaultLeagueId), ...patch };
+      const hash = buildHash(next);
+      if (hash === window.location.hash) return;
+      if (replace) {
+        window.history.replaceState(null, "", hash);
+        setRoute(parseHash(hash, defaultLeagueId));
+      } else {
+        window.location.hash = hash; // fires hashchange
+      }
+    },
+    [defaultLeagueId]
+  );
+
+  return [route, navigate];
+}
@@ -0,0 +1,55 @@
+import { parseHash, buildHash, STATUSES } from "./hashRoute";
+
+const DEFAULT = "1180160954902351872";
+
+describe("parseHash", () => {
+  it("falls back to the default league", () => {
+    expect(parseHash("", DEFAULT)).toEqual({
+      view: "league",
+      leagueId: DEFAULT,
+      week: null,
+      team: null,
+      show: STATUSES,
+      layout: "status",
+    });
+  });
+
+  it("falls back to the default route for malformed escapes", () => {
+    expect(parseHash("#/history/%E0%A4%A?week=3", DEFAULT)).toEqual(parseHash("", DEFAULT));
+  });
+
+  it("reads league, week, team and visible columns", () => {
+    expect(parseHash("#/league/123?week=5&team=3&show=POTENTIAL,INCOMPLETE,BOGUS&layout=matchups", DEFAULT)).toEqual({
+      view: "league",
+      leagueId: "123",
+      week: 5,
+      team: 3,
+      show: ["POTENTIAL", "INCOMPLETE"],
+      layout: "matchups",
+    });
+  });
+
+  it("recognises the dashboard and other league views", () => {
+    expect(parseHash("#/dashboard", DEFAULT).view).toBe("dashboard");
+    expect(parseHash("#/history/123", DEFAULT)).toMatchObject({ view: "history", leagueId: "123" });
+    expect(parseHash("#/team/123", DEFAULT)).toMatchObject({ view: "team", leagueId: "123" });
+    expect(parseHash("#/exposure/123?week=4", DEFAULT)).toMatchObject({ view: "exposure", leagueId: "123", week: 4 });
+    expect(parseHash("#/byes/123", DEFAULT)).toMatchObject({ view: "byes", leagueId: "123" });
+    expect(parseHash("#/bogus/123", DEFAULT)).toMatchObject({ view: "league", leagueId: DEFAULT });
+  });
+});
+
+describe("buildHash", () => {
+  it("omits defaults and round-trips", () => {
+    expect(buildHash({ view: "league", leagueId: "123", week: null, team: null, show: STATUSES })).toBe("#/league/123");
+    const hash = buildHash({ view: "league", leagueId: "123", week: 7, team: 2, show: ["INCOMPLETE"] });
+    expect(hash).toBe("#/league/123?week=7&team=2&show=INCOMPLETE");
+    expect(parseHash(hash, DEFAULT)).toMatchObject({ leagueId: "123", week: 7, team: 2, show: ["INCOMPLETE"] });
+  });
+
+  it("keeps only the week outside the league view", () => {
+    const route = { leagueId: "123", week: 7, team: 2, show: ["INCOMPLETE"] };
+    expect(buildHash({ ...route, view: "exposure" })).toBe("#/exposure/123?week=7");
+    expect(buildHash({ ...route, view: "history" })).toBe("#/history/123");
+  });
+});
@@ -2,6 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -9,3 +10,8 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+// Cache the app shell for offline use; an updated shell activates at once and is used from the next load
+serviceWorkerRegistration.register({
+  onUpdate: (registration) => registration.waiting?.postMessage({ type: 'SKIP_WAITING' }),
+});
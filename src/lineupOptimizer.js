@@ -0,0 +1,93 @@
+import { isEligibleForSlot } from "./rosterSlots";
+import { isDSTStarterId } from "./evaluateLineup";
+
+/**
+ * Best possible lineup from a set of players, given a value per player
+ * (fantasy points for completed weeks, 1 for "available" when only counting).
+ *
+ * Solved as an assignment problem (Hungarian algorithm) over starter slots and
+ * candidates, so overlapping flex slots (REC_FLEX vs. WRRB_FLEX) and players
+ * with several fantasy_positions are placed exactly. Filling as many slots as
+ * possible comes first; the highest total value breaks ties.
+ */
+
+// Leaving a slot empty costs more than any real pick could be worth
+const EMPTY_COST = 1e6;
+
+export function playerFor(pid, players) {
+  // D/ST ids are team codes and may be missing from the players dictionary
+  return players?.[pid] || (isDSTStarterId(pid) ? { position: "DEF", fantasy_positions: ["DEF"], team: pid } : null);
+}
+
+// Minimum-cost assignment of every row to a distinct column (rows <= columns).
+// cost[i][j] may be Infinity for forbidden pairs as long as each row has a finite option.
+function assign(cost) {
+  const n = cost.length;
+  const m = n ? cost[0].length : 0;
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(m + 1).fill(0);
+  const rowOf = new Array(m + 1).fill(0); // rowOf[j] = 1-based row assigned to column j
+  const way = new Array(m + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    rowOf[0] = i;
+    let j0 = 0;
+    const minv = new Array(m + 1).fill(Infinity);
+    const used = new Array(m + 1).fill(false);
+    do {
+      used[j0] = true;
+      const i0 = rowOf[j0];
+      let delta = Infinity;
+      let j1 = 0;
+      for (let j = 1; j <= m; j++) {
+        if (used[j]) continue;
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) {
+          minv[j] = cur;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) {
+          u[rowOf[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (rowOf[j0] !== 0);
+    do {
+      const j1 = way[j0];
+      rowOf[j0] = rowOf[j1];
+      j0 = j1;
+    } while (j0);
+  }
+
+  const columnOf = new Array(n).fill(-1);
+  for (let j = 1; j <= m; j++) if (rowOf[j]) columnOf[rowOf[j] - 1] = j - 1;
+  return columnOf;
+}
+
+// Returns { total, picks } where picks[i] is { slot, pid, value } for slots[i] (pid null when unfillable)
+export function optimalLineup(slots, candidateIds, players, valueOf) {
+  const candidates = [...new Set(candidateIds)]
+    .map((pid) => ({ pid, player: playerFor(pid, players) }))
+    .filter((c) => c.player);
+  const values = candidates.map((c) => valueOf(c.pid));
+
+  // One column per candidate plus one "empty" column per slot
+  const cost = slots.map((slot) => [
+    ...candidates.map((c, j) => (isEligibleForSlot(c.player, slot) ? -values[j] : Infinity)),
+    ...slots.map(() => EMPTY_COST),
+  ]);
+
+  const picks = assign(cost).map((j, i) =>
+    j < candidates.length ? { slot: slots[i], pid: candidates[j].pid, value: values[j] } : { slot: slots[i], pid: null, value: 0 }
+  );
+  return { total: picks.reduce((sum, p) => sum + p.value, 0), picks };
+}
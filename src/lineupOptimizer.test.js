@@ -0,0 +1,40 @@
+import { optimalLineup } from "./lineupOptimizer";
+
+const players = {
+  wr: { position: "WR", fantasy_positions: ["WR"] },
+  te: { position: "TE", fantasy_positions: ["TE"] },
+  rb: { position: "RB", fantasy_positions: ["RB"] },
+  x: { position: "RB", fantasy_positions: ["RB", "WR"] },
+  y: { position: "RB", fantasy_positions: ["RB"] },
+  z: { position: "WR", fantasy_positions: ["WR"] },
+};
+
+function best(slots, points) {
+  return optimalLineup(slots, Object.keys(points), players, (pid) => points[pid]);
+}
+
+describe("optimalLineup", () => {
+  it("places players across overlapping flex slots", () => {
+    // A greedy pass puts the WR at REC_FLEX and leaves WRRB_FLEX to the 0-point RB
+    const lineup = best(["REC_FLEX", "WRRB_FLEX"], { wr: 10, te: 9, rb: 0 });
+    expect(lineup.total).toBe(19);
+    expect(lineup.picks.map((p) => p.pid)).toEqual(["te", "wr"]);
+  });
+
+  it("moves a multi-position player to the slot where they are needed", () => {
+    const lineup = best(["RB", "WR"], { x: 10, y: 8, z: 1 });
+    expect(lineup.total).toBe(18);
+    expect(lineup.picks.map((p) => p.pid)).toEqual(["y", "x"]);
+  });
+
+  it("fills as many slots as it can before maximising points", () => {
+    const lineup = best(["RB", "FLEX", "QB"], { x: 10, y: -2 });
+    // Both RBs start, even the negative one; the QB slot stays empty
+    expect(lineup.picks.map((p) => p.pid).sort()).toEqual([null, "x", "y"]);
+    expect(lineup.total).toBe(8);
+  });
+
+  it("counts a D/ST by its team code", () => {
+    expect(optimalLineup(["DEF"], ["KC"], {}, () => 1).picks[0].pid).toBe("KC");
+  });
+});
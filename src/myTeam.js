@@ -0,0 +1,20 @@
+import { useCallback, useState } from "react";
+import { readJSON, writeJSON, removeKey } from "./storage";
+
+// The manager's own team as { leagueId, userId }; the app opens on it when no link is given
+export function useMyTeam() {
+  const [myTeam, setState] = useState(() => readJSON("myTeam", null));
+
+  const setMyTeam = useCallback((leagueId, userId) => {
+    const next = { leagueId, userId };
+    writeJSON("myTeam", next);
+    setState(next);
+  }, []);
+
+  const clearMyTeam = useCallback(() => {
+    removeKey("myTeam");
+    setState(null);
+  }, []);
+
+  return { myTeam, setMyTeam, clearMyTeam };
+}
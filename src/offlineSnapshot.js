@@ -0,0 +1,21 @@
+import { readJSON, writeJSON } from "./storage";
+
+/**
+ * The inputs of the last league evaluation loaded online — NFL state, league,
+ * users, rosters and one week's matchups — so the checker can be reopened
+ * without a connection. Players come from the IndexedDB cache (playerCache.js).
+ */
+
+const KEY = "offlineSnapshot";
+
+export function saveSnapshot({ state, leagueId, week, league, users, rosters, matchups }) {
+  writeJSON(KEY, { savedAt: Date.now(), state, leagueId, week, league, users, rosters, matchups });
+}
+
+// The snapshot for a league (and week, when given), or null
+export function loadSnapshot(leagueId, week = null) {
+  const snapshot = readJSON(KEY, null);
+  if (!snapshot || (leagueId && snapshot.leagueId !== leagueId)) return null;
+  if (week && snapshot.week !== week) return null;
+  return snapshot;
+}
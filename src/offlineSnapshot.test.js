@@ -0,0 +1,20 @@
+import { saveSnapshot, loadSnapshot } from "./offlineSnapshot";
+import league from "./__fixtures__/league.json";
+import matchups from "./__fixtures__/matchups.json";
+
+beforeEach(() => window.localStorage.clear());
+
+describe("offline snapshot", () => {
+  it("returns the last saved league, and its matchups only for the same week", () => {
+    expect(loadSnapshot(league.league_id)).toBeNull();
+    saveSnapshot({ state: { week: 5 }, leagueId: league.league_id, week: 5, league, users: [], rosters: [], matchups });
+
+    const snapshot = loadSnapshot(league.league_id);
+    expect(snapshot).toMatchObject({ leagueId: league.league_id, week: 5, state: { week: 5 } });
+    expect(typeof snapshot.savedAt).toBe("number");
+    expect(loadSnapshot(league.league_id, 5).matchups).toHaveLength(4);
+    expect(loadSnapshot(league.league_id, 6)).toBeNull();
+    expect(loadSnapshot("other")).toBeNull();
+    expect(loadSnapshot().leagueId).toBe(league.league_id);
+  });
+});
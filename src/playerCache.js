@@ -0,0 +1,121 @@
+import { fetchPlayers, API, SLEEPER_API } from "./sleeperApi";
+
+/**
+ * Persistent cache for the /players/nfl dictionary
+ *
+ * The full payload is several megabytes; we keep only the fields the checker
+ * reads, in IndexedDB, together with the time it was fetched. Sleeper asks
+ * clients to pull it at most once a day, so a cached copy is reused until it
+ * is MAX_AGE_MS old or the user forces a refresh. Game-day auto-refresh passes
+ * a shorter maxAgeMs so injury designations keep up with its polls.
+ */
+
+const DB_NAME = "slcc";
+const STORE = "players";
+// Copies from a non-default API base (e.g. recorded fixtures) are kept apart
+const KEY = API === SLEEPER_API ? "nfl" : `nfl@${API}`;
+// Bump when PLAYER_FIELDS changes so older slimmed copies are discarded
+const CACHE_VERSION = 3;
+export const MAX_AGE_MS = 6 * 60 * 60 * 1000;
+
+const PLAYER_FIELDS = [
+  "first_name",
+  "last_name",
+  "position",
+  "fantasy_positions",
+  "team",
+  "status",
+  "injury_status",
+  "years_exp",
+  // Player detail drawer
+  "number",
+  "age",
+  "injury_body_part",
+  "injury_notes",
+  "injury_start_date",
+  "practice_participation",
+  "practice_description",
+  "depth_chart_position",
+  "depth_chart_order",
+];
+
+export function slimPlayers(players) {
+  const out = {};
+  for (const [pid, p] of Object.entries(players || {})) {
+    const slim = {};
+    for (const field of PLAYER_FIELDS) {
+      if (p[field] != null) slim[field] = p[field];
+    }
+    out[pid] = slim;
+  }
+  return out;
+}
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB unavailable"));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function readCache() {
+  try {
+    const db = await openDb();
+    return await new Promise((resolve, reject) => {
+      const req = db.transaction(STORE, "readonly").objectStore(STORE).get(KEY);
+      req.onsuccess = () => resolve(req.result?.version === CACHE_VERSION ? req.result : null);
+      req.onerror = () => reject(req.error);
+    });
+  } catch (e) {
+    // No IndexedDB (private mode, old browser) — behave as an empty cache
+    return null;
+  }
+}
+
+async function writeCache(entry) {
+  try {
+    const db = await openDb();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, "readwrite");
+      tx.objectStore(STORE).put(entry, KEY);
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+// Resolves to { players, fetchedAt }. Falls back to a stale copy if Sleeper can't be reached.
+export async function loadPlayers({ force = false, maxAgeMs = MAX_AGE_MS } = {}) {
+  const cached = await readCache();
+  if (cached && !force && Date.now() - cached.fetchedAt < maxAgeMs) {
+    return { players: cached.players, fetchedAt: cached.fetchedAt };
+  }
+  try {
+    const entry = { version: CACHE_VERSION, fetchedAt: Date.now(), players: slimPlayers(await fetchPlayers()) };
+    await writeCache(entry);
+    return { players: entry.players, fetchedAt: entry.fetchedAt };
+  } catch (e) {
+    if (cached) {
+      console.error(e);
+      return { players: cached.players, fetchedAt: cached.fetchedAt };
+    }
+    throw e;
+  }
+}
+
+export function formatAge(timestamp, now = Date.now()) {
+  const minutes = Math.floor((now - timestamp) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours} h ago`;
+  return `${Math.floor(hours / 24)} d ago`;
+}
@@ -0,0 +1,20 @@
+import { slimPlayers, formatAge } from "./playerCache";
+
+describe("slimPlayers", () => {
+  it("keeps only the fields the checker reads", () => {
+    const slim = slimPlayers({
+      4046: { first_name: "Patrick", last_name: "Mahomes", position: "QB", team: "KC", college: "Texas Tech", injury_status: null },
+    });
+    expect(slim).toEqual({ 4046: { first_name: "Patrick", last_name: "Mahomes", position: "QB", team: "KC" } });
+  });
+});
+
+describe("formatAge", () => {
+  it("formats minutes, hours and days", () => {
+    const now = Date.UTC(2025, 9, 12, 12);
+    expect(formatAge(now - 30 * 1000, now)).toBe("just now");
+    expect(formatAge(now - 12 * 60 * 1000, now)).toBe("12 min ago");
+    expect(formatAge(now - 3 * 60 * 60 * 1000, now)).toBe("3 h ago");
+    expect(formatAge(now - 3 * 24 * 60 * 60 * 1000, now)).toBe("3 d ago");
+  });
+});
@@ -0,0 +1,57 @@
+import { playerName, isDSTStarterId } from "./evaluateLineup";
+import { headshotUrl } from "./sleeperApi";
+
+/**
+ * View model for the player detail drawer, built from a slimmed /players/nfl
+ * entry (see PLAYER_FIELDS in playerCache.js). Rows without data are left out
+ * so a healthy player shows only the basics.
+ */
+
+function experience(years) {
+  if (typeof years !== "number") return null;
+  if (years === 0) return "Rookie";
+  return `${years} ${years === 1 ? "year" : "years"}`;
+}
+
+function depthChart(player) {
+  if (!player.depth_chart_order) return null;
+  return `${player.depth_chart_position || player.position || ""}${player.depth_chart_order}`;
+}
+
+function formatDate(value) {
+  if (!value) return null;
+  const date = new Date(`${value}T00:00:00`);
+  return Number.isNaN(date.getTime())
+    ? String(value)
+    : date.toLocaleDateString([], { month: "short", day: "numeric", year: "numeric" });
+}
+
+export function playerDetails(pid, players) {
+  const isDefense = isDSTStarterId(pid);
+  const player = players?.[pid] || (isDefense ? { position: "DEF", team: pid } : null);
+  if (!player) return null;
+
+  const injury = [player.injury_status, player.injury_body_part].filter(Boolean).join(" — ");
+  const practice = [player.practice_participation, player.practice_description].filter(Boolean).join(" · ");
+  const rows = [
+    ["NFL team", player.team || "Free agent"],
+    ["Injury", injury || null],
+    ["Injured since", formatDate(player.injury_start_date)],
+    ["Notes", player.injury_notes || null],
+    ["Practice", practice || null],
+    ["Depth chart", depthChart(player)],
+    ["Experience", experience(player.years_exp)],
+    ["Age", player.age || null],
+    ["Roster status", player.status && player.status !== "Active" ? player.status : null],
+  ].filter(([, value]) => value != null && value !== "");
+
+  return {
+    pid,
+    name: playerName(player) || `${pid} D/ST`,
+    position: player.position || null,
+    number: player.number ?? null,
+    headshot: headshotUrl(pid, isDefense),
+    injuryStatus: player.injury_status || null,
+    rows,
+  };
+}
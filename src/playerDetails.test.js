@@ -0,0 +1,52 @@
+import { playerDetails } from "./playerDetails";
+import players from "./__fixtures__/players.json";
+
+describe("playerDetails", () => {
+  it("lists injury, practice and depth chart context when Sleeper has it", () => {
+    const withInjury = {
+      ...players,
+      8138: {
+        ...players["8138"],
+        number: 20,
+        injury_body_part: "Knee",
+        injury_notes: "Limited in practice Thursday",
+        injury_start_date: "2025-10-01",
+        practice_participation: "Limited",
+        depth_chart_position: "RB",
+        depth_chart_order: 1,
+        years_exp: 3,
+      },
+    };
+    const details = playerDetails("8138", withInjury);
+
+    expect(details).toMatchObject({
+      name: "Breece Hall",
+      position: "RB",
+      number: 20,
+      injuryStatus: "Questionable",
+      headshot: "https://sleepercdn.com/content/nfl/players/thumb/8138.jpg",
+    });
+    expect(Object.fromEntries(details.rows)).toMatchObject({
+      "NFL team": "NYJ",
+      Injury: "Questionable — Knee",
+      Notes: "Limited in practice Thursday",
+      Practice: "Limited",
+      "Depth chart": "RB1",
+      Experience: "3 years",
+    });
+    expect(Object.fromEntries(details.rows)["Injured since"]).toMatch(/2025/);
+  });
+
+  it("leaves out empty rows and handles defenses and unknown ids", () => {
+    const healthy = playerDetails("9509", { 9509: { ...players["9509"], years_exp: 0 } });
+    expect(healthy.rows).toEqual([
+      ["NFL team", "ATL"],
+      ["Experience", "Rookie"],
+    ]);
+    expect(playerDetails("NYG", {})).toMatchObject({
+      name: "NYG D/ST",
+      headshot: "https://sleepercdn.com/images/team_logos/nfl/nyg.png",
+    });
+    expect(playerDetails("123456", players)).toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+import { benchPlayerIds } from "./replacements";
+import { isEligibleForSlot } from "./rosterSlots";
+import { playerFor } from "./lineupOptimizer";
+import { playerName } from "./evaluateLineup";
+
+/**
+ * Points-lost estimate for scored weeks: what each INCOMPLETE starter slot
+ * scored, the best slot-eligible bench alternative by actual points (IR and
+ * taxi excluded, health ignored since the week is over) and the difference.
+ * Summed per team, the delta tells whether a valid lineup would have beaten
+ * the opponent with the same matchup_id.
+ *
+ * Injury designations are today's, so an OUT starter who scored points that
+ * week actually played and is skipped, as in seasonHistory.js. Empty slots and
+ * byes always count.
+ */
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Points for the starter at `index`, preferring Sleeper's per-slot starters_points
+export function slotPoints(matchup, index, pid) {
+  const fromStarters = matchup?.starters_points?.[index];
+  if (typeof fromStarters === "number") return fromStarters;
+  return matchup?.players_points?.[pid] || 0;
+}
+
+export function teamPoints(matchup) {
+  if (typeof matchup?.points === "number") return matchup.points;
+  return (matchup?.starters_points || []).reduce((sum, p) => sum + (p || 0), 0);
+}
+
+// Returns { slots: { [index]: { points, alternative, delta } }, total } for a scored evaluateLineup result
+export function pointsLostForLineup(evaluation, roster, matchup, players) {
+  const points = matchup?.players_points || {};
+  const bench = benchPlayerIds(roster, matchup);
+  const used = new Set();
+  const slots = {};
+  let total = 0;
+
+  for (const slot of evaluation.flagged) {
+    if (slot.status !== "INCOMPLETE") continue;
+    const scored = slot.isEmpty ? 0 : slotPoints(matchup, slot.index, slot.pid);
+    if (!slot.isEmpty && slot.reason !== "BYE" && scored !== 0) continue;
+    let best = null;
+    for (const pid of bench) {
+      if (used.has(pid)) continue;
+      const player = playerFor(pid, players);
+      if (!player || !isEligibleForSlot(player, slot.slot)) continue;
+      const value = points[pid] || 0;
+      if (best === null || value > best.points) best = { pid, name: playerName(player) || pid, points: value };
+    }
+    if (best) used.add(best.pid);
+    const delta = best ? round(Math.max(0, best.points - scored)) : 0;
+    slots[slot.index] = { points: scored, alternative: best, delta };
+    total = round(total + delta);
+  }
+
+  return { slots, total };
+}
+
+// Whether `delta` more points would have turned a loss or a tie into a win
+export function wouldFlip(points, opponentPoints, delta) {
+  if (points == null || opponentPoints == null) return false;
+  return points <= opponentPoints && points + delta > opponentPoints;
+}
@@ -0,0 +1,74 @@
+import { pointsLostForLineup, slotPoints, wouldFlip } from "./pointsLost";
+import { evaluateLineup } from "./evaluateLineup";
+import { buildTeams } from "./evaluateLeague";
+import league from "./__fixtures__/league.json";
+import players from "./__fixtures__/players.json";
+import matchups from "./__fixtures__/matchups.json";
+import rosters from "./__fixtures__/rosters.json";
+import users from "./__fixtures__/users.json";
+
+// Roster 3 starts Josh Allen (OUT) at QB and leaves FLEX empty; its bench holds
+// Mahomes (QB), Breece Hall (RB), Mark Andrews (TE) and the BAL defense
+const points = { 4984: 0, 4046: 24.5, 8138: 11, 5012: 6.2 };
+const m3 = { ...matchups[2], players_points: points, starters_points: [0, 10, 10, 10, 10, 10, 0, 10, 10], points: 70 };
+
+describe("slotPoints", () => {
+  it("prefers starters_points and falls back to players_points", () => {
+    expect(slotPoints(m3, 1, "4034")).toBe(10);
+    expect(slotPoints({ players_points: { 4034: 7 } }, 1, "4034")).toBe(7);
+    expect(slotPoints({}, 1, "4034")).toBe(0);
+  });
+});
+
+describe("pointsLostForLineup", () => {
+  it("pairs each incomplete slot with the best-scoring eligible bench player", () => {
+    const evaluation = evaluateLineup(m3, players, league, new Set());
+    const lost = pointsLostForLineup(evaluation, rosters[2], m3, players);
+
+    expect(lost.slots[0]).toEqual({ points: 0, alternative: { pid: "4046", name: "Patrick Mahomes", points: 24.5 }, delta: 24.5 });
+    expect(lost.slots[6]).toMatchObject({ points: 0, alternative: { pid: "8138", points: 11 }, delta: 11 });
+    expect(lost.total).toBe(35.5);
+  });
+
+  it("skips starters listed OUT today who scored that week", () => {
+    const played = { ...m3, starters_points: [18, 10, 10, 10, 10, 10, 0, 10, 10] };
+    const evaluation = evaluateLineup(played, players, league, new Set());
+    const lost = pointsLostForLineup(evaluation, rosters[2], played, players);
+
+    expect(lost.slots[0]).toBeUndefined();
+    expect(lost.slots[6]).toMatchObject({ points: 0, alternative: { pid: "8138" }, delta: 11 });
+    expect(lost.total).toBe(11);
+  });
+});
+
+describe("wouldFlip", () => {
+  it("only flips losses the delta overcomes", () => {
+    expect(wouldFlip(70, 90, 35.5)).toBe(true);
+    expect(wouldFlip(70, 90, 15)).toBe(false);
+    expect(wouldFlip(95, 90, 35.5)).toBe(false);
+    expect(wouldFlip(70, null, 35.5)).toBe(false);
+  });
+
+  it("flips ties any recovered points would break", () => {
+    expect(wouldFlip(90, 90, 0.5)).toBe(true);
+    expect(wouldFlip(90, 90, 0)).toBe(false);
+  });
+});
+
+describe("buildTeams with scored weeks", () => {
+  it("compares the estimate with the opponent's score", () => {
+    const scoredMatchups = [matchups[0], matchups[1], m3, { ...matchups[3], points: 90 }];
+    const teams = buildTeams({ matchups: scoredMatchups, rosters, users, league, players, byeSet: new Set(), scored: true });
+    const byId = Object.fromEntries(teams.map((t) => [t.roster_id, t]));
+
+    expect(byId[1].pointsLost).toBeNull();
+    expect(byId[3].pointsLost).toMatchObject({ total: 35.5, opponentPoints: 90, flipsResult: true });
+    // Roster 4 has no bench to recover points from
+    expect(byId[4].pointsLost).toMatchObject({ total: 0, opponentPoints: 70, flipsResult: false });
+  });
+
+  it("leaves points out for weeks still in play", () => {
+    const [team] = buildTeams({ matchups, rosters, users, league, players, byeSet: new Set() });
+    expect(team).toMatchObject({ points: null, pointsLost: null });
+  });
+});
@@ -0,0 +1,41 @@
+import { evaluateSlot, DEFAULT_RULES } from "./evaluateLineup";
+import { isEligibleForSlot } from "./rosterSlots";
+import { playerFor } from "./lineupOptimizer";
+
+/**
+ * Bench replacement suggestions for starters that are OUT, on BYE or empty.
+ * Candidates come from the roster's non-starters, excluding IR (reserve) and
+ * taxi players, and must be healthy and eligible for the flagged slot. When
+ * options.games is given (see evaluateLineup), players whose game has already
+ * kicked off are skipped.
+ */
+
+export function benchPlayerIds(roster, matchup) {
+  const starters = new Set(matchup?.starters || []);
+  const excluded = new Set([...(roster?.reserve || []), ...(roster?.taxi || [])]);
+  return (roster?.players || []).filter((pid) => !starters.has(pid) && !excluded.has(pid));
+}
+
+export function suggestReplacements(slot, benchIds, players, byeSet = new Set(), rules = DEFAULT_RULES, options = {}) {
+  return benchIds
+    .map((pid) => ({ pid, player: playerFor(pid, players) }))
+    .filter(({ player }) => player && isEligibleForSlot(player, slot.slot))
+    .map(({ pid }) => evaluateSlot(pid, slot.index, slot.slot, players, byeSet, rules))
+    .filter((candidate) => candidate.status === "OK")
+    .filter((candidate) => {
+      const game = options.games?.get(candidate.team);
+      return !game || game.state === "UPCOMING";
+    })
+    .sort((a, b) => a.position.localeCompare(b.position) || a.name.localeCompare(b.name));
+}
+
+// Suggestions keyed by slot index, for every INCOMPLETE slot of an evaluateLineup result
+export function suggestForLineup(evaluation, roster, matchup, players, byeSet, rules, options) {
+  const benchIds = benchPlayerIds(roster, matchup);
+  const out = {};
+  for (const slot of evaluation.flagged) {
+    if (slot.status !== "INCOMPLETE") continue;
+    out[slot.index] = suggestReplacements(slot, benchIds, players, byeSet, rules, options);
+  }
+  return out;
+}
@@ -0,0 +1,32 @@
+import { evaluateLineup } from "./evaluateLineup";
+import { benchPlayerIds, suggestForLineup } from "./replacements";
+import league from "./__fixtures__/league.json";
+import players from "./__fixtures__/players.json";
+import matchups from "./__fixtures__/matchups.json";
+import rosters from "./__fixtures__/rosters.json";
+
+const matchup = matchups.find((m) => m.roster_id === 3);
+const roster = rosters.find((r) => r.roster_id === 3);
+
+describe("benchPlayerIds", () => {
+  it("excludes starters, IR and taxi players", () => {
+    expect(benchPlayerIds(roster, matchup)).toEqual(["4046", "8138", "5012", "BAL"]);
+  });
+});
+
+describe("suggestForLineup", () => {
+  it("suggests healthy, slot-eligible bench players for OUT and empty slots", () => {
+    const evaluation = evaluateLineup(matchup, players, league, new Set());
+    const suggestions = suggestForLineup(evaluation, roster, matchup, players, new Set());
+    expect(suggestions[0].map((c) => c.name)).toEqual(["Patrick Mahomes"]);
+    // FLEX takes RB/WR/TE; the questionable RB is not offered
+    expect(suggestions[6].map((c) => c.name)).toEqual(["Mark Andrews"]);
+  });
+
+  it("skips bench players whose team is on bye", () => {
+    const evaluation = evaluateLineup(matchup, players, league, new Set(["KC"]));
+    const suggestions = suggestForLineup(evaluation, roster, matchup, players, new Set(["KC"]));
+    expect(suggestions[0]).toEqual([]);
+    expect(suggestions[8].map((c) => c.name)).toEqual(["BAL D/ST"]);
+  });
+});
@@ -0,0 +1,99 @@
+import { normalizeStatus, playerName } from "./evaluateLineup";
+import { avatarUrl, displayTeamName } from "./sleeperApi";
+
+/**
+ * Roster rules beyond the starting lineup, checked against league.settings:
+ *   - every player on IR (roster.reserve) has an IR-eligible designation
+ *   - IR and taxi squads stay within reserve_slots / taxi_slots
+ *   - taxi players are within their first `taxi_years` seasons (unless
+ *     taxi_allow_vets is on)
+ *   - the active roster fits the league's starter + bench slots
+ *
+ * Each issue is { kind: "IR" | "TAXI" | "ROSTER", pid, message }.
+ */
+
+// Always IR-eligible on Sleeper
+const IR_STATUSES = ["ir", "pup"];
+
+// Statuses a league can additionally allow on IR, with the setting that enables each
+const RESERVE_ALLOW = {
+  out: "reserve_allow_out",
+  doubtful: "reserve_allow_doubtful",
+  suspended: "reserve_allow_sus",
+  na: "reserve_allow_na",
+  cov: "reserve_allow_cov",
+  dnr: "reserve_allow_dnr",
+};
+
+export function isIrEligible(player, settings = {}) {
+  return [player?.injury_status, player?.status]
+    .map(normalizeStatus)
+    .some((s) => IR_STATUSES.includes(s) || Boolean(settings[RESERVE_ALLOW[s]]));
+}
+
+function limit(settings, key) {
+  const value = settings[key];
+  return typeof value === "number" ? value : null;
+}
+
+export function checkRosterCompliance(roster, league, players) {
+  const settings = league?.settings || {};
+  const reserve = roster?.reserve || [];
+  const taxi = roster?.taxi || [];
+  const nameOf = (pid) => playerName(players?.[pid]) || pid;
+  const issues = [];
+
+  for (const pid of reserve) {
+    const player = players?.[pid];
+    if (!player || isIrEligible(player, settings)) continue;
+    const status = player.injury_status || "Healthy";
+    issues.push({ kind: "IR", pid, message: `${nameOf(pid)} is on IR but listed as ${status}` });
+  }
+  const reserveSlots = limit(settings, "reserve_slots");
+  if (reserveSlots !== null && reserve.length > reserveSlots) {
+    issues.push({ kind: "IR", pid: null, message: `${reserve.length} players on IR, league allows ${reserveSlots}` });
+  }
+
+  const taxiYears = limit(settings, "taxi_years");
+  if (taxiYears !== null && !settings.taxi_allow_vets) {
+    for (const pid of taxi) {
+      const years = players?.[pid]?.years_exp;
+      if (typeof years !== "number" || years < taxiYears) continue;
+      const message = `${nameOf(pid)} is in season ${years + 1}; taxi allows the first ${taxiYears}`;
+      issues.push({ kind: "TAXI", pid, message });
+    }
+  }
+  const taxiSlots = limit(settings, "taxi_slots");
+  if (taxiSlots !== null && taxi.length > taxiSlots) {
+    issues.push({ kind: "TAXI", pid: null, message: `${taxi.length} players on taxi, league allows ${taxiSlots}` });
+  }
+
+  const positions = league?.roster_positions || [];
+  if (positions.length) {
+    const maxActive = positions.filter((p) => !["IR", "TAXI"].includes(p)).length;
+    const excluded = new Set([...reserve, ...taxi]);
+    const active = (roster?.players || []).filter((pid) => !excluded.has(pid)).length;
+    if (active > maxActive) {
+      issues.push({ kind: "ROSTER", pid: null, message: `${active} active players, roster holds ${maxActive}` });
+    }
+  }
+
+  return issues;
+}
+
+// One row per roster with its owner, teams with issues first
+export function buildCompliance({ rosters, users, league, players }) {
+  if (!players) return [];
+  const userById = new Map((users || []).map((u) => [u.user_id, u]));
+  return (rosters || [])
+    .map((r) => {
+      const owner = userById.get(r.owner_id);
+      return {
+        roster_id: r.roster_id,
+        name: displayTeamName(owner),
+        avatar: avatarUrl(owner?.avatar || null, "thumbs"),
+        issues: checkRosterCompliance(r, league, players),
+      };
+    })
+    .sort((a, b) => b.issues.length - a.issues.length || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,61 @@
+import { checkRosterCompliance, buildCompliance, isIrEligible } from "./rosterCompliance";
+import league from "./__fixtures__/league.json";
+import players from "./__fixtures__/players.json";
+import rosters from "./__fixtures__/rosters.json";
+import users from "./__fixtures__/users.json";
+
+const dynasty = {
+  ...league,
+  settings: { ...league.settings, reserve_slots: 1, taxi_slots: 1, taxi_years: 2 },
+};
+// Roster 3 keeps Puka Nacua (IR) on IR and Saquon Barkley on taxi
+const roster3 = rosters.find((r) => r.roster_id === 3);
+
+describe("isIrEligible", () => {
+  it("accepts IR and PUP, and other statuses only when the league allows them", () => {
+    expect(isIrEligible(players["7839"])).toBe(true);
+    expect(isIrEligible(players["4866"])).toBe(true);
+    expect(isIrEligible(players["4984"])).toBe(false);
+    expect(isIrEligible(players["4984"], { reserve_allow_out: 1 })).toBe(true);
+  });
+});
+
+describe("checkRosterCompliance", () => {
+  it("passes a roster within the league's rules", () => {
+    const withExp = { ...players, 4866: { ...players["4866"], years_exp: 1 } };
+    expect(checkRosterCompliance(roster3, dynasty, withExp)).toEqual([]);
+  });
+
+  it("flags healthy IR stashes, taxi veterans and oversized squads", () => {
+    const roster = { ...roster3, reserve: ["7839", "4046"], taxi: ["4866", "8138"] };
+    const withExp = { ...players, 4866: { ...players["4866"], years_exp: 6 } };
+    expect(checkRosterCompliance(roster, dynasty, withExp).map((i) => [i.kind, i.message])).toEqual([
+      ["IR", "Patrick Mahomes is on IR but listed as Healthy"],
+      ["IR", "2 players on IR, league allows 1"],
+      ["TAXI", "Saquon Barkley is in season 7; taxi allows the first 2"],
+      ["TAXI", "2 players on taxi, league allows 1"],
+    ]);
+  });
+
+  it("skips the experience check when the league allows veterans on taxi", () => {
+    const withExp = { ...players, 4866: { ...players["4866"], years_exp: 6 } };
+    const league = { ...dynasty, settings: { ...dynasty.settings, taxi_allow_vets: 1 } };
+    expect(checkRosterCompliance(roster3, league, withExp)).toEqual([]);
+  });
+
+  it("flags active rosters larger than the starter and bench slots", () => {
+    const roster = { ...roster3, players: [...roster3.players, "17", "7564"] };
+    expect(checkRosterCompliance(roster, dynasty, players)).toEqual([
+      { kind: "ROSTER", pid: null, message: "14 active players, roster holds 12" },
+    ]);
+  });
+});
+
+describe("buildCompliance", () => {
+  it("lists teams with issues first", () => {
+    const rows = buildCompliance({ rosters, users, league: { ...dynasty, settings: { reserve_slots: 0 } }, players });
+    expect(rows[0]).toMatchObject({ roster_id: 3, name: "Charlie's Angels" });
+    expect(rows[0].issues).toHaveLength(1);
+    expect(rows.slice(1).every((r) => r.issues.length === 0)).toBe(true);
+  });
+});
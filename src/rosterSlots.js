@@ -0,0 +1,49 @@
+/**
+ * Roster slot eligibility — which player positions may fill each Sleeper
+ * roster_positions slot. Players are matched on fantasy_positions so that
+ * dual-eligible players (e.g., a TE listed as TE/WR) are handled.
+ */
+
+const IDP_DL = ["DL", "DE", "DT"];
+const IDP_LB = ["LB", "ILB", "OLB"];
+const IDP_DB = ["DB", "CB", "S", "SS", "FS"];
+
+export const SLOT_ELIGIBILITY = {
+  QB: ["QB"],
+  RB: ["RB"],
+  WR: ["WR"],
+  TE: ["TE"],
+  K: ["K"],
+  DEF: ["DEF"],
+  FLEX: ["RB", "WR", "TE"],
+  SUPER_FLEX: ["QB", "RB", "WR", "TE"],
+  REC_FLEX: ["WR", "TE"],
+  WRRB_FLEX: ["WR", "RB"],
+  DL: IDP_DL,
+  LB: IDP_LB,
+  DB: IDP_DB,
+  IDP_FLEX: [...IDP_DL, ...IDP_LB, ...IDP_DB],
+};
+
+// Short labels for Sleeper's flex slot keys; any other slot shows as-is
+export const SLOT_LABEL = {
+  SUPER_FLEX: "SF",
+  REC_FLEX: "W/T",
+  WRRB_FLEX: "W/R",
+  IDP_FLEX: "IDP",
+};
+
+export function slotLabel(slot) {
+  return SLOT_LABEL[slot] || slot;
+}
+
+export function playerPositions(player) {
+  if (player?.fantasy_positions?.length) return player.fantasy_positions;
+  return player?.position ? [player.position] : [];
+}
+
+export function isEligibleForSlot(player, slot) {
+  // Unknown slots only accept their own position
+  const allowed = SLOT_ELIGIBILITY[slot] || [slot];
+  return playerPositions(player).some((p) => allowed.includes(p));
+}
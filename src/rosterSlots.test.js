@@ -0,0 +1,26 @@
+import { isEligibleForSlot, slotLabel } from "./rosterSlots";
+
+const qb = { position: "QB", fantasy_positions: ["QB"] };
+const edge = { position: "DE", fantasy_positions: ["DL", "LB"] };
+const safety = { position: "S" };
+
+describe("isEligibleForSlot", () => {
+  it("handles superflex and receiver-only flex slots", () => {
+    expect(isEligibleForSlot(qb, "SUPER_FLEX")).toBe(true);
+    expect(isEligibleForSlot(qb, "FLEX")).toBe(false);
+    expect(isEligibleForSlot({ position: "RB" }, "REC_FLEX")).toBe(false);
+  });
+
+  it("maps IDP positions onto DL, LB, DB and IDP_FLEX", () => {
+    expect(isEligibleForSlot(edge, "LB")).toBe(true);
+    expect(isEligibleForSlot(safety, "DB")).toBe(true);
+    expect(isEligibleForSlot(safety, "IDP_FLEX")).toBe(true);
+    expect(isEligibleForSlot(safety, "DL")).toBe(false);
+  });
+});
+
+describe("slotLabel", () => {
+  it("shortens flex keys and leaves other slots alone", () => {
+    expect(["SUPER_FLEX", "WRRB_FLEX", "IDP_FLEX", "DL", "FLEX"].map(slotLabel)).toEqual(["SF", "W/R", "IDP", "DL", "FLEX"]);
+  });
+});
@@ -0,0 +1,46 @@
+import { useCallback, useState } from "react";
+import { readJSON, writeJSON } from "./storage";
+
+// League IDs pinned to the multi-league dashboard, in the order they were added
+export function useSavedLeagues() {
+  const [leagueIds, setLeagueIds] = useState(() => readJSON("leagues", []));
+
+  const update = useCallback((fn) => {
+    setLeagueIds((prev) => {
+      const next = fn(prev);
+      writeJSON("leagues", next);
+      return next;
+    });
+  }, []);
+
+  const addLeague = useCallback(
+    (leagueId) => update((prev) => (prev.includes(leagueId) ? prev : [...prev, leagueId])),
+    [update]
+  );
+
+  const removeLeague = useCallback(
+    (leagueId) => update((prev) => prev.filter((id) => id !== leagueId)),
+    [update]
+  );
+
+  return { leagueIds, addLeague, removeLeague };
+}
+
+const MAX_RECENT = 8;
+
+// Most recently opened leagues, newest first, with enough info to render a picker
+export function useRecentLeagues() {
+  const [recent, setRecent] = useState(() => readJSON("recentLeagues", []));
+
+  const remember = useCallback((league) => {
+    if (!league?.league_id) return;
+    setRecent((prev) => {
+      const entry = { league_id: league.league_id, name: league.name, avatar: league.avatar || null };
+      const next = [entry, ...prev.filter((l) => l.league_id !== entry.league_id)].slice(0, MAX_RECENT);
+      writeJSON("recentLeagues", next);
+      return next;
+    });
+  }, []);
+
+  return { recent, remember };
+}
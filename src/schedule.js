@@ -0,0 +1,91 @@
+import { useSeasonTable } from "./seasonTable";
+
+/**
+ * NFL kickoff schedule per season
+ *
+ * - Tables are { week: [{ away, home, kickoff }] } with kickoff as an ISO 8601
+ *   timestamp including its UTC offset (e.g., "2025-09-07T13:00:00-04:00").
+ * - No schedules ship with the app: a commissioner imports one per season
+ *   through the Kickoff schedule panel, and it is kept in local storage.
+ * - Team codes must match Sleeper player.team (e.g., "KC", "PHI").
+ */
+
+// Nothing is bundled; useSeasonTable only serves imported overrides
+const BUNDLED = {};
+
+// Generous upper bound for a game incl. overtime; after this a slot is Locked
+const GAME_WINDOW_MS = 4 * 60 * 60 * 1000;
+
+export const GAME_STATE_LABEL = {
+  UPCOMING: "Upcoming",
+  IN_PROGRESS: "In Progress",
+  LOCKED: "Locked",
+};
+
+function normalizeGame(game, week) {
+  const away = String(game?.away || "").trim().toUpperCase();
+  const home = String(game?.home || "").trim().toUpperCase();
+  if (!/^[A-Z]{2,4}$/.test(away) || !/^[A-Z]{2,4}$/.test(home)) {
+    throw new Error(`Invalid teams "${game?.away}" @ "${game?.home}" in week ${week}`);
+  }
+  const kickoff = Date.parse(game?.kickoff);
+  if (Number.isNaN(kickoff)) throw new Error(`Invalid kickoff "${game?.kickoff}" for ${away} @ ${home}`);
+  return { away, home, kickoff: new Date(kickoff).toISOString() };
+}
+
+function normalizeSchedule(raw) {
+  const table = {};
+  for (const [week, games] of Object.entries(raw || {})) {
+    const w = Number(week);
+    if (!Number.isInteger(w) || w < 1 || w > 22) throw new Error(`Invalid week "${week}"`);
+    if (!Array.isArray(games)) throw new Error(`Week ${w} must list games`);
+    table[w] = games.map((g) => normalizeGame(g, w));
+  }
+  return table;
+}
+
+// Accepts the JSON shape above, or CSV rows "week,away,home,kickoff" (header optional)
+export function parseSchedule(text) {
+  const trimmed = String(text || "").trim();
+  if (!trimmed) throw new Error("Schedule is empty");
+  if (trimmed.startsWith("{")) {
+    let raw;
+    try {
+      raw = JSON.parse(trimmed);
+    } catch (e) {
+      throw new Error(`Invalid JSON: ${e.message}`);
+    }
+    return normalizeSchedule(raw);
+  }
+  const raw = {};
+  for (const line of trimmed.split(/\r?\n/)) {
+    const cells = line.split(",").map((c) => c.trim());
+    if (!line.trim() || /^week$/i.test(cells[0])) continue;
+    if (cells.length < 4) throw new Error(`Could not read line "${line.trim()}"`);
+    const [week, away, home, kickoff] = cells;
+    (raw[week] = raw[week] || []).push({ away, home, kickoff });
+  }
+  return normalizeSchedule(raw);
+}
+
+export function gameState(kickoff, now) {
+  if (now < kickoff) return "UPCOMING";
+  if (now < kickoff + GAME_WINDOW_MS) return "IN_PROGRESS";
+  return "LOCKED";
+}
+
+// Map of team code → { kickoff, state } for every team playing in the given week
+export function gamesForWeek(schedule, week, now = Date.now()) {
+  const map = new Map();
+  for (const game of (schedule && schedule[Number(week)]) || []) {
+    const kickoff = Date.parse(game.kickoff);
+    const entry = { kickoff, state: gameState(kickoff, now) };
+    map.set(game.away, entry);
+    map.set(game.home, entry);
+  }
+  return map;
+}
+
+export function useSchedule(season) {
+  return useSeasonTable("schedule", season, BUNDLED, normalizeSchedule);
+}
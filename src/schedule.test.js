@@ -0,0 +1,53 @@
+import { parseSchedule, gameState, gamesForWeek } from "./schedule";
+
+const KICKOFF = "2025-09-07T13:00:00-04:00";
+const kickoffMs = Date.parse(KICKOFF);
+const HOUR = 60 * 60 * 1000;
+
+describe("parseSchedule", () => {
+  it("reads CSV rows with an optional header and normalises teams and times", () => {
+    const table = parseSchedule(`week,away,home,kickoff\n1, kc ,LAC,${KICKOFF}\n\n1,PHI,DAL,2025-09-04T20:20:00-04:00`);
+    expect(table[1]).toEqual([
+      { away: "KC", home: "LAC", kickoff: "2025-09-07T17:00:00.000Z" },
+      { away: "PHI", home: "DAL", kickoff: "2025-09-05T00:20:00.000Z" },
+    ]);
+  });
+
+  it("reads the JSON shape", () => {
+    const table = parseSchedule(JSON.stringify({ 2: [{ away: "BUF", home: "NYJ", kickoff: KICKOFF }] }));
+    expect(table).toEqual({ 2: [{ away: "BUF", home: "NYJ", kickoff: "2025-09-07T17:00:00.000Z" }] });
+  });
+
+  it("rejects empty input, bad rows, teams, weeks and kickoffs", () => {
+    expect(() => parseSchedule("  ")).toThrow("Schedule is empty");
+    expect(() => parseSchedule("1,KC,LAC")).toThrow('Could not read line "1,KC,LAC"');
+    expect(() => parseSchedule(`1,K C,LAC,${KICKOFF}`)).toThrow("Invalid teams");
+    expect(() => parseSchedule(`30,KC,LAC,${KICKOFF}`)).toThrow('Invalid week "30"');
+    expect(() => parseSchedule("1,KC,LAC,someday")).toThrow('Invalid kickoff "someday" for KC @ LAC');
+    expect(() => parseSchedule("{ nope")).toThrow("Invalid JSON");
+  });
+});
+
+describe("gameState", () => {
+  it("moves from Upcoming to In Progress at kickoff and Locked four hours later", () => {
+    expect(gameState(kickoffMs, kickoffMs - 1)).toBe("UPCOMING");
+    expect(gameState(kickoffMs, kickoffMs)).toBe("IN_PROGRESS");
+    expect(gameState(kickoffMs, kickoffMs + 4 * HOUR - 1)).toBe("IN_PROGRESS");
+    expect(gameState(kickoffMs, kickoffMs + 4 * HOUR)).toBe("LOCKED");
+  });
+});
+
+describe("gamesForWeek", () => {
+  const schedule = parseSchedule(`1,KC,LAC,${KICKOFF}\n2,BUF,NYJ,2025-09-14T13:00:00-04:00`);
+
+  it("maps both teams of each game in the week to its kickoff and state", () => {
+    const games = gamesForWeek(schedule, "1", kickoffMs + HOUR);
+    expect([...games.keys()]).toEqual(["KC", "LAC"]);
+    expect(games.get("LAC")).toEqual({ kickoff: kickoffMs, state: "IN_PROGRESS" });
+  });
+
+  it("is empty for weeks without games or without a schedule", () => {
+    expect(gamesForWeek(schedule, 3).size).toBe(0);
+    expect(gamesForWeek(null, 1).size).toBe(0);
+  });
+});
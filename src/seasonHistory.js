@@ -0,0 +1,78 @@
+import { evaluateLineup, starterSlots, DEFAULT_RULES } from "./evaluateLineup";
+import { optimalLineup } from "./lineupOptimizer";
+import { byeTeamsForWeek } from "./byeWeeks";
+import { benchPlayerIds } from "./replacements";
+import { avatarUrl, displayTeamName } from "./sleeperApi";
+
+/**
+ * Season-long lineup negligence per manager, from the matchups of every
+ * completed week: weeks started with an empty slot, an OUT player or a player
+ * on bye, and points left on the bench versus the best possible lineup.
+ *
+ * Sleeper only publishes current injury designations, so a week counts as
+ * "started an OUT player" when a starter is OUT under today's status *and*
+ * scored 0 that week.
+ */
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function startersPoints(m) {
+  if (Array.isArray(m.starters_points)) return m.starters_points.reduce((sum, p) => sum + (p || 0), 0);
+  return (m.starters || []).reduce((sum, pid) => sum + (m.players_points?.[pid] || 0), 0);
+}
+
+// Points the roster could have scored with its best eligible lineup, minus what its starters scored.
+// Candidates are the starters plus the same bench as pointsLost.js (IR and taxi excluded).
+export function benchPointsLeft(m, roster, league, players) {
+  const points = m.players_points || {};
+  const candidates = [...(m.starters || []), ...benchPlayerIds(roster, m)];
+  const best = optimalLineup(starterSlots(league), candidates, players, (pid) => points[pid] || 0);
+  return Math.max(0, round(best.total - startersPoints(m)));
+}
+
+// weeks: [{ week, matchups }] for completed weeks
+export function buildHistory({ weeks, rosters, users, league, players, byeTable, rules = DEFAULT_RULES }) {
+  const userById = new Map((users || []).map((u) => [u.user_id, u]));
+  const rosterById = new Map((rosters || []).map((r) => [r.roster_id, r]));
+  const rows = new Map(
+    (rosters || []).map((r) => {
+      const owner = userById.get(r.owner_id);
+      return [
+        r.roster_id,
+        {
+          roster_id: r.roster_id,
+          name: displayTeamName(owner),
+          avatar: avatarUrl(owner?.avatar || null, "thumbs"),
+          emptyWeeks: [],
+          outWeeks: [],
+          byeWeeks: [],
+          benchPoints: 0,
+        },
+      ];
+    })
+  );
+
+  for (const { week, matchups } of weeks) {
+    const byeSet = byeTeamsForWeek(byeTable, week);
+    for (const m of matchups) {
+      const row = rows.get(m.roster_id);
+      if (!row || !m.starters?.length) continue;
+      const { flagged } = evaluateLineup(m, players, league, byeSet, rules);
+      const scored = (pid) => (m.players_points?.[pid] || 0) !== 0;
+
+      if (flagged.some((s) => s.isEmpty)) row.emptyWeeks.push(week);
+      if (flagged.some((s) => s.reason === "BYE")) row.byeWeeks.push(week);
+      if (flagged.some((s) => s.status === "INCOMPLETE" && !s.isEmpty && s.reason !== "BYE" && !scored(s.pid))) {
+        row.outWeeks.push(week);
+      }
+      row.benchPoints = round(row.benchPoints + benchPointsLeft(m, rosterById.get(m.roster_id), league, players));
+    }
+  }
+
+  return [...rows.values()].map((row) => ({
+    ...row,
+    flaggedWeeks: new Set([...row.emptyWeeks, ...row.outWeeks, ...row.byeWeeks]).size,
+  }));
+}
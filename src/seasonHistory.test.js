@@ -0,0 +1,55 @@
+import { buildHistory, benchPointsLeft } from "./seasonHistory";
+import league from "./__fixtures__/league.json";
+import players from "./__fixtures__/players.json";
+import matchups from "./__fixtures__/matchups.json";
+import rosters from "./__fixtures__/rosters.json";
+import users from "./__fixtures__/users.json";
+
+// Give every rostered player 10 points except a few named ones
+function withPoints(overrides) {
+  return matchups.map((m) => ({
+    ...m,
+    players_points: Object.fromEntries(m.players.map((pid) => [pid, overrides[pid] ?? 10])),
+  }));
+}
+
+describe("benchPointsLeft", () => {
+  it("compares the best eligible lineup with the starters", () => {
+    // Roster 1 benches Lamar Jackson (QB, 30) behind Mahomes (QB, 12)
+    const [m] = withPoints({ 4046: 12, 4881: 30 });
+    expect(benchPointsLeft(m, rosters[0], league, players)).toBe(18);
+  });
+
+  it("is zero when the starters were already optimal", () => {
+    const [m] = withPoints({ 4881: 5 });
+    expect(benchPointsLeft(m, rosters[0], league, players)).toBe(0);
+  });
+
+  it("leaves IR and taxi players out of the best lineup", () => {
+    // Roster 3 leaves FLEX empty; Puka Nacua (WR, IR) and Saquon Barkley (RB, taxi) can't fill it
+    const roster = rosters[2];
+    const m = {
+      ...matchups[2],
+      players: roster.players,
+      players_points: Object.fromEntries(roster.players.map((pid) => [pid, ["7839", "4866"].includes(pid) ? 40 : 10])),
+    };
+    expect(benchPointsLeft(m, roster, league, players)).toBe(10);
+  });
+});
+
+describe("buildHistory", () => {
+  it("counts empty, OUT and bye weeks per manager", () => {
+    const weeks = [
+      { week: 1, matchups: withPoints({ 4984: 0, 4866: 0, 7839: 0, 17: 0 }) },
+      // Josh Allen scored despite today's OUT tag, so week 2 doesn't count against roster 3
+      { week: 2, matchups: withPoints({ 4866: 0 }) },
+    ];
+    const rows = buildHistory({ weeks, rosters, users, league, players, byeTable: { 2: ["KC"] } });
+    const byId = Object.fromEntries(rows.map((r) => [r.roster_id, r]));
+
+    expect(byId[1]).toMatchObject({ emptyWeeks: [], outWeeks: [], byeWeeks: [2], flaggedWeeks: 1 });
+    expect(byId[3]).toMatchObject({ emptyWeeks: [1, 2], outWeeks: [1], byeWeeks: [2], flaggedWeeks: 2 });
+    expect(byId[4]).toMatchObject({ outWeeks: [1, 2], flaggedWeeks: 2 });
+    expect(byId[2]).toMatchObject({ emptyWeeks: [], outWeeks: [], byeWeeks: [2], benchPoints: 0 });
+  });
+});
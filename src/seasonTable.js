@@ -0,0 +1,40 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { readJSON, writeJSON, removeKey } from "./storage";
+
+/**
+ * Per-season data tables (bye weeks, kickoff schedules) that ship with the app
+ * and can be overridden by a commissioner. Overrides are stored in local
+ * storage under `{kind}:{season}` and win over the bundled table.
+ */
+export function useSeasonTable(kind, season, bundledBySeason, normalize = (t) => t) {
+  const [override, setOverride] = useState(null);
+
+  useEffect(() => {
+    setOverride(season ? readJSON(`${kind}:${season}`) : null);
+  }, [kind, season]);
+
+  const bundled = useMemo(
+    () => (season && bundledBySeason[season] ? normalize(bundledBySeason[season]) : null),
+    [season, bundledBySeason, normalize]
+  );
+
+  const saveOverride = useCallback(
+    (table) => {
+      writeJSON(`${kind}:${season}`, table);
+      setOverride(table);
+    },
+    [kind, season]
+  );
+
+  const clearOverride = useCallback(() => {
+    removeKey(`${kind}:${season}`);
+    setOverride(null);
+  }, [kind, season]);
+
+  return {
+    table: override || bundled,
+    source: override ? "override" : bundled ? "bundled" : null,
+    saveOverride,
+    clearOverride,
+  };
+}
@@ -0,0 +1,44 @@
+/* eslint-disable no-restricted-globals */
+
+// App-shell service worker, compiled by react-scripts (workbox InjectManifest)
+// in production builds only. The build's HTML, JS, CSS and icons are precached
+// so the checker opens without a connection; league data for offline use is
+// kept by the app itself (see offlineSnapshot.js), not here.
+
+import { CacheableResponsePlugin } from "workbox-cacheable-response";
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { precacheAndRoute, createHandlerBoundToURL } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { CacheFirst } from "workbox-strategies";
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for every in-app navigation (routing lives in the hash)
+const fileExtensionRegexp = /[^/?]+\.[^/]+$/;
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") return false;
+  if (url.pathname.startsWith("/_")) return false;
+  if (url.pathname.match(fileExtensionRegexp)) return false;
+  return true;
+}, createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html"));
+
+// Team avatars from Sleeper's CDN, so cached lineups still show them offline.
+// <img> requests to the CDN are no-cors, so their responses are opaque (status 0).
+registerRoute(
+  ({ url }) => url.origin === "https://sleepercdn.com",
+  new CacheFirst({
+    cacheName: "avatars",
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 200, maxAgeSeconds: 30 * 24 * 60 * 60 }),
+    ],
+  })
+);
+
+// Lets the page activate a waiting update right away (see serviceWorkerRegistration.js)
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
@@ -0,0 +1,25 @@
+// Registers the service worker built from src/service-worker.js. Production
+// only: in development a cached shell would hide code changes.
+
+export function register({ onUpdate } = {}) {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+  // The worker can't control pages on another origin than PUBLIC_URL (e.g. a CDN)
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then((registration) => {
+        registration.onupdatefound = () => {
+          const installing = registration.installing;
+          if (!installing) return;
+          installing.onstatechange = () => {
+            // A controller already exists, so this is an update rather than the first install
+            if (installing.state === "installed" && navigator.serviceWorker.controller) onUpdate?.(registration);
+          };
+        };
+      })
+      .catch((e) => console.error("Service worker registration failed:", e));
+  });
+}
@@ -0,0 +1,179 @@
+// Thin wrappers around the Sleeper public API plus helpers for presenting its payloads
+export const SLEEPER_API = "https://api.sleeper.app/v1";
+// REACT_APP_SLEEPER_API points the app at another base, e.g. the fixture server (npm run mock-api)
+export const API = process.env.REACT_APP_SLEEPER_API || SLEEPER_API;
+
+/**
+ * Every request goes through getJSON, which checks the HTTP status, retries
+ * rate limits, 5xx answers and network failures with exponential backoff, and
+ * throws a SleeperApiError whose `kind` tells callers what went wrong:
+ *   NOT_FOUND    — 404, or a null body where an object was expected
+ *   RATE_LIMITED — 429 after all retries
+ *   UNAVAILABLE  — network failure or 5xx after all retries
+ *   INVALID      — any other status, unparseable JSON or an unexpected shape
+ */
+export const ERROR_KIND = {
+  NOT_FOUND: "NOT_FOUND",
+  RATE_LIMITED: "RATE_LIMITED",
+  UNAVAILABLE: "UNAVAILABLE",
+  INVALID: "INVALID",
+};
+
+export class SleeperApiError extends Error {
+  constructor(kind, message, { status = null, path = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = "SleeperApiError";
+    this.kind = kind;
+    this.status = status;
+    this.path = path;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get transient() {
+    return this.kind === ERROR_KIND.RATE_LIMITED || this.kind === ERROR_KIND.UNAVAILABLE;
+  }
+}
+
+const MAX_RETRY_AFTER_MS = 10 * 1000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function errorForStatus(res, path) {
+  const { status } = res;
+  if (status === 404) return new SleeperApiError(ERROR_KIND.NOT_FOUND, `Not found: ${path}`, { status, path });
+  if (status === 429) {
+    const retryAfterMs = Number(res.headers?.get("Retry-After")) * 1000 || null;
+    return new SleeperApiError(ERROR_KIND.RATE_LIMITED, "Sleeper is rate-limiting requests", { status, path, retryAfterMs });
+  }
+  if (status >= 500) {
+    return new SleeperApiError(ERROR_KIND.UNAVAILABLE, `Sleeper's API is unavailable (HTTP ${status})`, { status, path });
+  }
+  return new SleeperApiError(ERROR_KIND.INVALID, `Unexpected HTTP ${status} from Sleeper for ${path}`, { status, path });
+}
+
+async function requestOnce(path) {
+  // Add timestamp to prevent caching
+  const sep = path.includes("?") ? "&" : "?";
+  let res;
+  try {
+    res = await fetch(`${API}${path}${sep}_=${Date.now()}`);
+  } catch (e) {
+    throw new SleeperApiError(ERROR_KIND.UNAVAILABLE, "Could not reach Sleeper's API", { path });
+  }
+  if (!res.ok) throw errorForStatus(res, path);
+  try {
+    return await res.json();
+  } catch (e) {
+    throw new SleeperApiError(ERROR_KIND.INVALID, `Sleeper returned malformed JSON for ${path}`, { path });
+  }
+}
+
+export async function getJSON(path, { retries = 2, backoffMs = 500 } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestOnce(path);
+    } catch (e) {
+      // No point backing off while the device reports it has no connection
+      const offline = typeof navigator !== "undefined" && navigator.onLine === false;
+      if (!e.transient || offline || attempt >= retries) throw e;
+      await sleep(Math.min(e.retryAfterMs || backoffMs * 2 ** attempt, MAX_RETRY_AFTER_MS));
+    }
+  }
+}
+
+function invalid(path, what) {
+  return new SleeperApiError(ERROR_KIND.INVALID, `Sleeper returned ${what} for ${path}`, { path });
+}
+
+async function getArray(path) {
+  const body = await getJSON(path);
+  if (body == null) return [];
+  if (!Array.isArray(body)) throw invalid(path, "an unexpected response");
+  return body;
+}
+
+export async function fetchNflState() {
+  const state = await getJSON("/state/nfl");
+  if (!state || typeof state !== "object" || !state.season) throw invalid("/state/nfl", "no NFL season state");
+  return state;
+}
+
+export async function fetchPlayers() {
+  const players = await getJSON("/players/nfl"); // large — slimmed and cached in IndexedDB by playerCache.js
+  if (!players || typeof players !== "object" || Array.isArray(players)) throw invalid("/players/nfl", "no players");
+  return players;
+}
+
+export async function fetchLeague(leagueId) {
+  const path = `/league/${encodeURIComponent(leagueId)}`;
+  const notFound = () =>
+    new SleeperApiError(ERROR_KIND.NOT_FOUND, `League ${leagueId} was not found on Sleeper`, { status: 404, path });
+  let league;
+  try {
+    league = await getJSON(path);
+  } catch (e) {
+    // Sleeper answers malformed league IDs with 400/404
+    throw e.kind === ERROR_KIND.NOT_FOUND || e.status === 400 ? notFound() : e;
+  }
+  if (!league || typeof league !== "object" || !league.league_id) throw notFound();
+  return league;
+}
+
+// League info (for roster_positions), users and rosters change with the league, not the week.
+// Throws when the league itself can't be loaded; a failed users or rosters request leaves an
+// empty list and its error in `errors`, so the rest of the league can still be shown.
+export async function fetchLeagueBundle(leagueId) {
+  const base = `/league/${encodeURIComponent(leagueId)}`;
+  const [league, users, rosters] = await Promise.allSettled([
+    fetchLeague(leagueId),
+    getArray(`${base}/users`),
+    getArray(`${base}/rosters`),
+  ]);
+  if (league.status === "rejected") throw league.reason;
+  return {
+    league: league.value,
+    users: users.value || [],
+    rosters: rosters.value || [],
+    errors: [users, rosters].filter((r) => r.status === "rejected").map((r) => r.reason),
+  };
+}
+
+// An empty list means Sleeper has no matchups for that week (offseason, preseason, past the playoffs)
+export function fetchMatchups(leagueId, week) {
+  return getArray(`/league/${encodeURIComponent(leagueId)}/matchups/${encodeURIComponent(week)}`);
+}
+
+// Sleeper answers unknown usernames with a null body
+export async function fetchUser(username) {
+  try {
+    return await getJSON(`/user/${encodeURIComponent(username)}`);
+  } catch (e) {
+    if (e.kind === ERROR_KIND.NOT_FOUND) return null;
+    throw e;
+  }
+}
+
+export function fetchUserLeagues(userId, season) {
+  return getArray(`/user/${encodeURIComponent(userId)}/leagues/nfl/${encodeURIComponent(season)}`);
+}
+
+export function avatarUrl(avatarId, size = "thumbs") {
+  if (!avatarId) return null;
+  return `https://sleepercdn.com/avatars/${size === "thumbs" ? "thumbs/" : ""}${avatarId}`;
+}
+
+// Player headshot, or the team logo for a D/ST
+export function headshotUrl(pid, isDefense = false) {
+  if (!pid) return null;
+  return isDefense
+    ? `https://sleepercdn.com/images/team_logos/nfl/${String(pid).toLowerCase()}.png`
+    : `https://sleepercdn.com/content/nfl/players/thumb/${pid}.jpg`;
+}
+
+export function displayTeamName(user) {
+  return (
+    user?.metadata?.team_name || user?.display_name || user?.username || `Team ${user?.user_id}`
+  );
+}
@@ -0,0 +1,96 @@
+import { getJSON, fetchLeagueBundle, fetchMatchups, fetchUser, ERROR_KIND } from "./sleeperApi";
+import league from "./__fixtures__/league.json";
+import users from "./__fixtures__/users.json";
+
+function respond(status, body, headers = {}) {
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => headers[name] ?? null },
+    json: () => (typeof body === "string" ? Promise.reject(new SyntaxError("bad json")) : Promise.resolve(body)),
+  });
+}
+
+// Routes fetch calls by path (ignoring the cache-busting query) to queued responses
+function mockFetch(routes) {
+  global.fetch = jest.fn((url) => {
+    const path = new URL(url).pathname.replace(/^\/v1/, "");
+    const queue = routes[path];
+    if (!queue) return respond(404, null);
+    const next = queue.length > 1 ? queue.shift() : queue[0];
+    return next === "network" ? Promise.reject(new TypeError("Failed to fetch")) : respond(...next);
+  });
+}
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe("getJSON", () => {
+  it("retries transient failures with backoff", async () => {
+    mockFetch({ "/state/nfl": ["network", [503, null], [200, { season: "2025" }]] });
+    await expect(getJSON("/state/nfl", { backoffMs: 0 })).resolves.toEqual({ season: "2025" });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it("gives up after the retry budget and classifies the failure", async () => {
+    mockFetch({ "/state/nfl": [[429, null]] });
+    await expect(getJSON("/state/nfl", { retries: 1, backoffMs: 0 })).rejects.toMatchObject({
+      kind: ERROR_KIND.RATE_LIMITED,
+      status: 429,
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+
+    mockFetch({ "/state/nfl": ["network"] });
+    await expect(getJSON("/state/nfl", { retries: 0 })).rejects.toMatchObject({ kind: ERROR_KIND.UNAVAILABLE });
+  });
+
+  it("does not retry 404s or malformed bodies", async () => {
+    mockFetch({ "/state/nfl": [[200, "<html>"]] });
+    await expect(getJSON("/league/nope")).rejects.toMatchObject({ kind: ERROR_KIND.NOT_FOUND, status: 404 });
+    await expect(getJSON("/state/nfl")).rejects.toMatchObject({ kind: ERROR_KIND.INVALID });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("fetchLeagueBundle", () => {
+  const id = league.league_id;
+
+  it("reports an unknown league, including Sleeper's null body", async () => {
+    mockFetch({ [`/league/${id}`]: [[200, null]] });
+    await expect(fetchLeagueBundle(id)).rejects.toMatchObject({
+      kind: ERROR_KIND.NOT_FOUND,
+      message: `League ${id} was not found on Sleeper`,
+    });
+  });
+
+  it("keeps what loaded when users or rosters fail", async () => {
+    mockFetch({
+      [`/league/${id}`]: [[200, league]],
+      [`/league/${id}/users`]: [[200, users]],
+      [`/league/${id}/rosters`]: [[200, { error: "nope" }]],
+    });
+    const bundle = await fetchLeagueBundle(id);
+    expect(bundle.league).toEqual(league);
+    expect(bundle.users).toHaveLength(4);
+    expect(bundle.rosters).toEqual([]);
+    expect(bundle.errors.map((e) => e.kind)).toEqual([ERROR_KIND.INVALID]);
+  });
+});
+
+describe("fetchMatchups and fetchUser", () => {
+  it("treats a null matchups body as an empty week and a 404 user as unknown", async () => {
+    mockFetch({ "/league/1/matchups/1": [[200, null]] });
+    await expect(fetchMatchups("1", 1)).resolves.toEqual([]);
+    await expect(fetchUser("nobody")).resolves.toBeNull();
+  });
+
+  it("encodes league IDs in every league path", async () => {
+    mockFetch({});
+    await expect(fetchLeagueBundle("a/b")).rejects.toMatchObject({ kind: ERROR_KIND.NOT_FOUND });
+    await fetchMatchups("a/b", 1).catch(() => {});
+    const paths = global.fetch.mock.calls.map(([url]) => new URL(url).pathname.replace(/^\/v1/, ""));
+    expect(paths).toEqual(expect.arrayContaining(["/league/a%2Fb", "/league/a%2Fb/users", "/league/a%2Fb/matchups/1"]));
+    expect(paths.every((p) => p.startsWith("/league/a%2Fb"))).toBe(true);
+  });
+});
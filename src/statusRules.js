@@ -0,0 +1,44 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { readJSON, writeJSON, removeKey } from "./storage";
+import { DEFAULT_RULES } from "./evaluateLineup";
+
+// Per-league status rules: only the values a commissioner changed are stored,
+// so new defaults still reach leagues that customised something else.
+export function useStatusRules(leagueId) {
+  const [custom, setCustom] = useState({});
+
+  useEffect(() => {
+    setCustom(leagueId ? readJSON(`rules:${leagueId}`, {}) : {});
+  }, [leagueId]);
+
+  const setRule = useCallback(
+    (key, bucket) => {
+      setCustom((prev) => {
+        const next = { ...prev, [key]: bucket };
+        if (DEFAULT_RULES[key] === bucket) delete next[key];
+        writeJSON(`rules:${leagueId}`, next);
+        return next;
+      });
+    },
+    [leagueId]
+  );
+
+  const resetRules = useCallback(() => {
+    removeKey(`rules:${leagueId}`);
+    setCustom({});
+  }, [leagueId]);
+
+  const rules = useMemo(() => ({ ...DEFAULT_RULES, ...custom }), [custom]);
+
+  return {
+    rules,
+    isCustom: Object.keys(custom).length > 0,
+    setRule,
+    resetRules,
+  };
+}
+
+// Non-hook read for views that evaluate several leagues at once
+export function loadStatusRules(leagueId) {
+  return { ...DEFAULT_RULES, ...readJSON(`rules:${leagueId}`, {}) };
+}
@@ -0,0 +1,24 @@
+// Color tokens shared by every status view (Tailwind classes, keyed by team/slot status)
+export const BG = {
+  OK: "bg-emerald-600",
+  POTENTIAL: "bg-amber-500",
+  INCOMPLETE: "bg-rose-600",
+};
+
+export const LIGHT = {
+  OK: "bg-emerald-50 border border-emerald-200",
+  POTENTIAL: "bg-amber-50 border border-amber-200",
+  INCOMPLETE: "bg-rose-50 border border-rose-200",
+};
+
+export const DOT = {
+  OK: "bg-emerald-600",
+  POTENTIAL: "bg-amber-500",
+  INCOMPLETE: "bg-rose-600",
+};
+
+export const TEXT = {
+  OK: "text-emerald-600",
+  POTENTIAL: "text-amber-500",
+  INCOMPLETE: "text-rose-600",
+};
@@ -0,0 +1,29 @@
+// Small localStorage wrapper. Every key is namespaced so settings from this app
+// never collide with anything else served from the same GitHub Pages origin.
+const PREFIX = "slcc:";
+
+export function readJSON(key, fallback = null) {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch (e) {
+    // Private mode, quota or a hand-edited value — behave as if nothing was stored
+    return fallback;
+  }
+}
+
+export function writeJSON(key, value) {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+export function removeKey(key) {
+  try {
+    window.localStorage.removeItem(PREFIX + key);
+  } catch (e) {
+    console.error(e);
+  }
+}